@@ -1,11 +1,23 @@
 'use strict';
 var Connection = require('./lib/connection');
+var sasl = require('./lib/sasl');
+var types = require('./lib/types');
+var errors = require('./lib/errors');
+var consumerArguments = require('./lib/consumer-arguments');
     
 module.exports = {
   Connection: Connection,
+  sasl: sasl,
+  types: types,
+  errors: errors,
+  consumerArguments: consumerArguments,
   createConnection: function (options, implOptions, readyCallback) {
     var c = new Connection(options, implOptions, readyCallback);
     c.connect();
     return c;
+  },
+  // Like createConnection, but returns a promise for the ready connection.
+  connect: function (options, implOptions) {
+    return module.exports.createConnection(options, implOptions).ready();
   }
 };
@@ -710,6 +710,19 @@ exports.classes = [{
     "name": "recoverOk",
     "index": 111,
     "fields": []
+  }, {
+    "name": "nack",
+    "index": 120,
+    "fields": [{
+      "name": "deliveryTag",
+      "domain": "longlong"
+    }, {
+      "name": "multiple",
+      "domain": "bit"
+    }, {
+      "name": "requeue",
+      "domain": "bit"
+    }]
   }]
 }, {
   "name": "tx",
@@ -0,0 +1,63 @@
+'use strict';
+
+// Computes the pauses between successive attempts at something, such as
+// reconnecting. `strategy` is the name of one of Backoff.strategies or a
+// function (attempt, lastError) returning the pause in milliseconds, called
+// with the Backoff as `this`. Options:
+// - initial: pause before the first attempt (and the base for the others)
+// - limit: upper bound for the growing strategies
+var Backoff = module.exports = function Backoff (strategy, options) {
+  if (typeof strategy !== 'function') {
+    if (!Backoff.strategies.hasOwnProperty(strategy)) {
+      throw new Error("Unknown backoff strategy '" + strategy + "', expected one of " +
+          Object.keys(Backoff.strategies).join(', ') + " or a function");
+    }
+    strategy = Backoff.strategies[strategy];
+  }
+
+  this.strategy = strategy;
+  this.options = options;
+  this.reset();
+};
+
+// Call after a success, so the next failure starts from the beginning.
+Backoff.prototype.reset = function () {
+  this.attempt = 0;
+  this.delay = null;
+};
+
+// Returns the pause before the next attempt.
+Backoff.prototype.next = function (lastError) {
+  this.attempt++;
+  this.delay = Math.max(0, Number(this.strategy.call(this, this.attempt, lastError)) || 0);
+  return this.delay;
+};
+
+// The jitter strategies spread out clients that failed at the same moment,
+// e.g. when a broker restarts, see
+// https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+Backoff.strategies = {
+  // The same pause every time.
+  'linear': function () {
+    return this.options.initial;
+  },
+
+  // Doubles the pause after every attempt, up to the limit.
+  'exponential': function (attempt) {
+    return Math.min(this.options.initial * Math.pow(2, attempt - 1), this.options.limit);
+  },
+
+  // Anywhere between nothing and the exponential pause.
+  'full-jitter': function (attempt) {
+    return Math.random() * Backoff.strategies.exponential.call(this, attempt);
+  },
+
+  // Anywhere between the initial pause and three times the previous one, up
+  // to the limit. The first pause goes from the initial one as well, so that
+  // it is spread out too.
+  'decorrelated-jitter': function () {
+    var initial = this.options.initial;
+    var previous = this.delay === null ? initial : this.delay;
+    return Math.min(this.options.limit, initial + Math.random() * (previous * 3 - initial));
+  }
+};
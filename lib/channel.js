@@ -3,11 +3,14 @@ var events = require('events');
 var util = require('util');
 var fs = require('fs');
 var Promise = require('./promise').Promise;
+var Backoff = require('./backoff');
 var definitions = require('./definitions');
 var methods = definitions.methods;
 
-// This class is not exposed to the user. Queue and Exchange are subclasses
-// of Channel. This just provides a task queue.
+// Queue, Exchange and SharedChannel are subclasses of Channel, which just
+// provides a task queue. A Queue or Exchange normally opens an AMQP channel
+// of its own; given a SharedChannel instead of a channel number it becomes
+// a handle on that channel and leaves opening and closing it to the owner.
 var Channel = module.exports = function Channel (connection, channel) {
   events.EventEmitter.call(this);
 
@@ -15,20 +18,136 @@ var Channel = module.exports = function Channel (connection, channel) {
   // 10 is far too low.
   this.setMaxListeners(0);
 
+  this.sharedChannel = null;
+  if (channel instanceof Channel) {
+    this.sharedChannel = channel;
+    channel = channel.channel;
+  }
+
   this.channel = channel;
   this.connection = connection;
   this._tasks = [];
 
-  this.reconnect();
+  // The basic.qos settings to reapply when the channel reopens, see qos().
+  this._qos = {};
+
+  // See _recoverAfter.
+  this._recovering = false;
+  this._recoveryAttempt = 0;
+  this._recoveryBackoff = null;
+  this._recoveryTimer = null;
+  var self = this;
+  this.on('open', function () {
+    // Settings reapplied by reconnect() go out before anything else.
+    self._tasksFlush();
+
+    if (!self._recovering) return;
+    self._recovering = false;
+    // Queues and exchanges on a shared channel have no backoff of their own.
+    if (self._recoveryBackoff) self._recoveryBackoff.reset();
+    self.emit('recovered', self._recoveryAttempt);
+  });
+
+  if (!this.sharedChannel) this.reconnect();
 };
 util.inherits(Channel, events.EventEmitter);
 
 Channel.prototype.closeOK = function() {
-  this.connection._sendMethod(this.channel, methods.channelCloseOk, {reserved1: ""});
+  this._sendMethod(methods.channelCloseOk, {reserved1: ""});
 };
 
 Channel.prototype.reconnect = function () {
-  this.connection._sendMethod(this.channel, methods.channelOpen, {reserved1: ""});
+  this._sendMethod(methods.channelOpen, {reserved1: ""});
+
+  // A reopened channel has forgotten it was transactional; select again
+  // before anything that was queued while we were away goes out.
+  if (this._transactional) {
+    var self = this;
+    this._tasks.unshift({
+      promise: new Promise(),
+      reply: methods.txSelectOk,
+      sent: false,
+      cb: function () {
+        self._sendMethod(methods.txSelect, {});
+      }
+    });
+  }
+
+  // Likewise the prefetch limits.
+  Object.keys(this._qos).forEach(function (scope) {
+    this._tasks.unshift({
+      promise: new Promise(),
+      reply: methods.basicQosOk,
+      sent: false,
+      cb: this._qosTask(this._qos[scope])
+    });
+  }, this);
+};
+
+// Returns a native promise which is fulfilled with this queue or exchange
+// once it is open, or rejected if it emits an error, is closed or loses its
+// connection for good first.
+Channel.prototype.ready = function () {
+  var self = this;
+
+  return new global.Promise(function (resolve, reject) {
+    if (self.state === 'open') return resolve(self);
+
+    var stop = self._onLost(function (err) {
+      self.removeListener('open', onOpen);
+      reject(err);
+    });
+    function onOpen () {
+      stop();
+      resolve(self);
+    }
+    self.once('open', onOpen);
+  });
+};
+
+// Calls back once with the error when this queue or exchange emits one, is
+// closed, or its connection goes down without reconnecting. Returns a
+// function to stop listening.
+Channel.prototype._onLost = function (callback) {
+  var self = this;
+  var connection = this.connection;
+
+  function onError (err) {
+    lost(err);
+  }
+  function onClose () {
+    lost(new Error('The channel was closed'));
+  }
+  function onConnectionError (err) {
+    if (!connection._reconnectsAfter(err)) lost(err);
+  }
+  function onConnectionClose () {
+    if (!connection._reconnects()) lost(new Error('The connection was closed'));
+  }
+  function lost (err) {
+    stop();
+    callback(err);
+  }
+  function stop () {
+    self.removeListener('error', onError);
+    self.removeListener('close', onClose);
+    connection.removeListener('error', onConnectionError);
+    connection.removeListener('close', onConnectionClose);
+    connection.removeListener('reconnectFailed', onError);
+  }
+
+  this.on('error', onError);
+  this.on('close', onClose);
+  connection.on('error', onConnectionError);
+  connection.on('close', onConnectionClose);
+  connection.on('reconnectFailed', onError);
+  return stop;
+};
+
+Channel.prototype._sendMethod = function (method, args) {
+  // On a shared channel the owner has to know who is waiting for the reply.
+  if (this.sharedChannel) this.sharedChannel._expectReply(this, method);
+  this.connection._sendMethod(this.channel, method, args);
 };
 
 Channel.prototype._taskPush = function (reply, cb) {
@@ -49,7 +168,7 @@ Channel.prototype._tasksFlush = function () {
   for (var i = 0; i < this._tasks.length; i++) {
     var task = this._tasks[i];
     if (task.sent) continue;
-    task.cb();
+    task.cb(task.promise);
     task.sent = true;
     if (!task.reply) {
       // if we don't expect a reply, just delete it now
@@ -78,19 +197,221 @@ Channel.prototype._handleTaskReply = function (channel, method, args) {
 Channel.prototype._onChannelMethod = function(channel, method, args) {
   switch (method) {
     case methods.channelCloseOk:
-      delete this.connection.channels[this.channel];
+      if (!this.sharedChannel) delete this.connection.channels[this.channel];
       this.state = 'closed';
+      this._failTasks(new Error('Channel closed'), true);
       // TODO should this be falling through?
     default:
       this._onMethod(channel, method, args);
   }
 };
 
+// Called when the server has closed the channel because of `err`. With the
+// connection's channelRecovery option the channel is reopened after a pause,
+// which redeclares, rebinds and resubscribes like a reconnect does. Emits
+// 'recovering' (err, attempt, delay) for each attempt, and 'recoveryFailed'
+// (err) instead once the attempts run out. Returns whether a reopen is
+// scheduled.
+Channel.prototype._recoverAfter = function (err) {
+  var scheduled = this._scheduleRecovery(err);
+  // Whatever wasn't sent yet goes out on the reopened channel, if there is
+  // going to be one.
+  this._failTasks(err, !scheduled);
+  return scheduled;
+};
+
+Channel.prototype._scheduleRecovery = function (err) {
+  var policy = this.connection._channelRecovery;
+  var self = this;
+
+  // A shared channel's queues and exchanges recover with it, see
+  // SharedChannel#_onMethod.
+  if (!policy || this.sharedChannel) return false;
+
+  if (!this._recoveryBackoff) this._recoveryBackoff = new Backoff(policy.strategy, policy);
+  var backoff = this._recoveryBackoff;
+
+  if (policy.maxAttempts && backoff.attempt >= policy.maxAttempts) {
+    this._recovering = false;
+    backoff.reset();
+    this.emit('recoveryFailed', err);
+    return false;
+  }
+
+  var delay = backoff.next(err);
+  this._recovering = true;
+  this._recoveryAttempt = backoff.attempt;
+  this._recoveryTimer = setTimeout(function () {
+    self._recoveryTimer = null;
+    self.reconnect();
+  }, delay);
+  this.emit('recovering', err, backoff.attempt, delay);
+  return true;
+};
+
+// A pending reopen is left to the connection when it goes down itself, and
+// dropped when the channel is closed on purpose.
+Channel.prototype._cancelRecovery = function () {
+  if (this._recoveryTimer) {
+    clearTimeout(this._recoveryTimer);
+    this._recoveryTimer = null;
+  }
+};
+
+// Tasks sent on a channel that has gone will never be answered. Fail them,
+// so the replies on the reopened channel go to the tasks they belong to;
+// with `all` the unsent ones too, when there is no channel to send them on
+// any more.
+Channel.prototype._failTasks = function (err, all) {
+  var failed = this._tasks.filter(function (task) { return all || task.sent; });
+  this._tasks = this._tasks.filter(function (task) { return !all && !task.sent; });
+  failed.forEach(function (task) {
+    // The error has been emitted on the channel or connection already; a
+    // caller that ignores the promise isn't told again by a throw.
+    if (!task.promise.listeners('error').length) task.promise.addErrback(function () {});
+    task.promise.emitError(err);
+  });
+};
+
 Channel.prototype.close = function(reason) {
+  if (this.sharedChannel) return this._closeHandle();
+
+  this.state = 'closing';
+  this._cancelRecovery();
+  this._recovering = false;
+  this.connection.topology.forget(this);
+
+  this._sendMethod(methods.channelClose,
+                   {'replyText': reason ? reason : 'Goodbye from node',
+                    'replyCode': 200,
+                    'classId': 0,
+                    'methodId': 0});
+};
+
+// A handle on a shared channel goes away on its own; the channel stays open
+// for everything else declared on it. Its consumers are cancelled first, or
+// the server would go on delivering to them.
+Channel.prototype._closeHandle = function () {
+  var self = this;
+  if (this.state === 'closing') return;
+
+  var closed = false;
+  this.once('close', function () { closed = true; });
+  this._cancelConsumers(function () {
+    process.nextTick(function () {
+      self.sharedChannel._detach(self);
+      // Unless the shared channel has gone meanwhile, and closed it already.
+      if (closed) return;
+      self._recovering = false;
+      self._onChannelMethod(self.channel, methods.channelCloseOk, {});
+    });
+  });
+
   this.state = 'closing';
-  this.connection._sendMethod(this.channel, methods.channelClose,
-                              {'replyText': reason ? reason : 'Goodbye from node',
-                               'replyCode': 200,
-                               'classId': 0,
-                               'methodId': 0});
+  this._cancelRecovery();
+  this._recovering = false;
+  this.connection.topology.forget(this);
+};
+
+// Queues have consumers to cancel; see Queue.prototype._cancelConsumers.
+Channel.prototype._cancelConsumers = function (callback) {
+  callback();
+};
+
+// Puts the channel into transactional mode. Publishes and acks sent on it
+// afterwards only take effect when txCommit() is called, and are discarded
+// by txRollback(). A channel stays transactional until it is closed.
+// Called on a queue or exchange with a shared channel, these act on the
+// shared channel as a whole.
+Channel.prototype.txSelect = function (callback) {
+  if (this._confirmMode()) {
+    throw new Error('A channel in confirm mode can not be made transactional');
+  }
+
+  if (this.sharedChannel) return this.sharedChannel.txSelect(callback);
+
+  this._transactional = true;
+  return this._txMethod(methods.txSelect, methods.txSelectOk, callback);
+};
+
+Channel.prototype.txCommit = function (callback) {
+  if (this.sharedChannel) return this.sharedChannel.txCommit(callback);
+  return this._txMethod(methods.txCommit, methods.txCommitOk, callback);
+};
+
+Channel.prototype.txRollback = function (callback) {
+  if (this.sharedChannel) return this.sharedChannel.txRollback(callback);
+  return this._txMethod(methods.txRollback, methods.txRollbackOk, callback);
+};
+
+// Limits the messages the server delivers before they are acknowledged:
+// - prefetchCount: how many (default 0, no limit)
+// - prefetchSize: how many bytes of message bodies (default 0, no limit;
+//   RabbitMQ doesn't implement it)
+// - global: false (the default) for a limit on each consumer started on the
+//   channel from now on, true for one limit shared by all consumers on the
+//   channel, existing ones included. This is RabbitMQ's interpretation, see
+//   https://www.rabbitmq.com/consumer-prefetch.html
+// It can be called at any time; a new global limit takes effect on the live
+// consumers right away. The last settings for each scope are applied again
+// whenever the channel is reopened. Called on a queue or exchange with a
+// shared channel, it acts on the shared channel.
+Channel.prototype.qos = function (options, callback) {
+  if (this.sharedChannel) return this.sharedChannel.qos(options, callback);
+
+  var args = qosArgs(options);
+  this._qos[args.global ? 'global' : 'consumer'] = args;
+
+  var promise = this._taskPush(methods.basicQosOk, this._qosTask(args));
+  if (typeof callback === 'function') {
+    promise.addCallback(function () { callback(null); });
+    promise.addErrback(function (err) { callback(err); });
+  }
+  return promise;
+};
+
+// The basic.qos arguments for qos() options; throws if they are out of
+// range.
+var qosArgs = Channel.qosArgs = function (options) {
+  options = options || {};
+  var args = { reserved1: 0
+             , prefetchSize: options.prefetchSize || 0
+             , prefetchCount: options.prefetchCount || 0
+             , global: !!options.global
+             };
+  if (!Number.isInteger(args.prefetchCount) || args.prefetchCount < 0 || args.prefetchCount > 0xffff) {
+    throw new Error("Expected a prefetchCount between 0 and 65535, got " + options.prefetchCount);
+  }
+  if (!Number.isInteger(args.prefetchSize) || args.prefetchSize < 0 || args.prefetchSize > 0xffffffff) {
+    throw new Error("Expected a prefetchSize between 0 and 4294967295, got " + options.prefetchSize);
+  }
+  return args;
+};
+
+Channel.prototype._qosTask = function (args) {
+  var self = this;
+  return function () {
+    self._sendMethod(methods.basicQos, args);
+  };
+};
+
+Channel.prototype._txMethod = function (method, reply, callback) {
+  var self = this;
+  var promise = this._taskPush(reply, function () {
+    self._sendMethod(method, {});
+  });
+  if (typeof callback === 'function') {
+    promise.addCallback(function () { callback(null); });
+    promise.addErrback(function (err) { callback(err); });
+  }
+  return promise;
+};
+
+// Whether the channel is in confirm mode, or will be: a shared channel is as
+// soon as one of its exchanges asks for confirms.
+Channel.prototype._confirmMode = function () {
+  var channel = this.sharedChannel || this;
+  return (channel._handles || [channel]).some(function (handle) {
+    return !!(handle.options && handle.options.confirm);
+  });
 };
@@ -13,12 +13,25 @@ var methodTable = definitions.methodTable;
 var classes = definitions.classes;
 var Exchange = require('./exchange');
 var Queue = require('./queue');
+var SharedChannel = require('./shared-channel');
 var AMQPParser = require('./parser');
+var sasl = require('./sasl');
+var Backoff = require('./backoff');
+var Topology = require('./topology');
+var errors = require('./errors');
+var AuthenticationError = errors.AuthenticationError;
+var Promise = require('./promise').Promise;
 var nodeAMQPVersion = require('../package').version;
 
 var maxFrameBuffer = 131072; // 128k, same as rabbitmq (which was
                              // copying qpid)
 var channelMax = 65535;
+
+// Outbound frames of up to half this size are carved from shared slabs, see
+// _allocFrame. A slab stays allocated while any frame cut from it is queued
+// in the socket, so it is kept small: that covers method and header frames
+// and small bodies, which is where per-frame allocations add up.
+var slabSize = 16384;
 var defaultPorts = { 'amqp': 5672, 'amqps': 5671 };
 
 var defaultOptions = {
@@ -29,6 +42,7 @@ var defaultOptions = {
   authMechanism: 'AMQPLAIN',
   vhost: '/',
   connectionTimeout: 10000,
+  writeHighWaterMark: 1048576, // 1M
   ssl: {
     enabled: false
   }
@@ -46,7 +60,15 @@ var defaultImplOptions = {
   reconnect: true,
   reconnectBackoffStrategy: 'linear',
   reconnectExponentialLimit: 120000,
-  reconnectBackoffTime: 1000
+  reconnectBackoffTime: 1000,
+  reconnectOnAuthenticationError: false
+};
+
+var defaultChannelRecovery = {
+  strategy: 'exponential',
+  initial: 1000,
+  limit: 30000,
+  maxAttempts: 10
 };
 
 var defaultClientProperties = {
@@ -55,6 +77,17 @@ var defaultClientProperties = {
   product: 'node-amqp'
 };
 
+// The protocol extensions we implement, announced to the server in
+// connection.start-ok. See https://www.rabbitmq.com/consumer-cancel.html etc.
+var defaultCapabilities = {
+  publisher_confirms: true,
+  exchange_exchange_bindings: true,
+  'basic.nack': true,
+  consumer_cancel_notify: true,
+  'connection.blocked': true,
+  authentication_failure_close: true
+};
+
 const defaults = (...args) =>
   args.reverse().reduce((acc, obj) => ({ ...acc, ...obj }), {});
 
@@ -74,25 +107,100 @@ var Connection = module.exports = function Connection (connectionArgs, options,
 
   this._blocked = false;
   this._blockedReason = null;
+
+  // Everything declared over the connection, restored after a reconnect.
+  this.topology = new Topology(this);
+
+  // True while more than writeHighWaterMark bytes wait to go out; see write.
+  this.needsDrain = false;
+  this._corked = false;
+  this._slab = null;
+  this._slabUsed = 0;
+
+  // Set by close(), see _reconnects.
+  this._closing = false;
 };
 util.inherits(Connection, EventEmitter);
 
 
 
+// Returns a native promise which is fulfilled with the connection once the
+// handshake has completed. It is rejected on the first error only when
+// reconnecting is disabled (or the error is an authentication failure, which
+// isn't retried by default); otherwise it waits for a later attempt to
+// succeed, and is rejected if reconnecting gives up, see reconnectMaxAttempts.
+Connection.prototype.ready = function () {
+  var self = this;
+
+  return new global.Promise(function (resolve, reject) {
+    if (self.readyEmitted) return resolve(self);
+
+    function onReady () {
+      self.removeListener('error', onError);
+      self.removeListener('reconnectFailed', onFailed);
+      resolve(self);
+    }
+    function onError (err) {
+      if (self._reconnectsAfter(err)) return;
+      onFailed(err);
+    }
+    function onFailed (err) {
+      self.removeListener('ready', onReady);
+      self.removeListener('error', onError);
+      self.removeListener('reconnectFailed', onFailed);
+      reject(err);
+    }
+    self.once('ready', onReady);
+    self.on('error', onError);
+    self.on('reconnectFailed', onFailed);
+  });
+};
+
+// Whether a connection error is followed by a reconnect. The same
+// credentials would only be refused again, so by default authentication
+// failures aren't.
+Connection.prototype._reconnectsAfter = function (err) {
+  if (!this._reconnects()) return false;
+  return !(err instanceof AuthenticationError) || !!this.implOptions.reconnectOnAuthenticationError;
+};
+
+// Whether the connection comes back after it is lost; not once close() has
+// been called.
+Connection.prototype._reconnects = function () {
+  return !!this.implOptions.reconnect && !this._closing;
+};
+
 Connection.prototype.setOptions = function (options) {
   var urlo = (options && options.url) ? this._parseURLOptions(options.url) : {};
   var sslo = (options && options.ssl && options.ssl.enabled) ? defaultSslOptions : {};
   this.options = Object.assign({}, defaultOptions, sslo, urlo, options || {});
   this.options.clientProperties =  Object.assign({}, defaultClientProperties, (options && options.clientProperties) || {});
+  this.options.clientProperties.capabilities = Object.assign({}, defaultCapabilities,
+      (options && options.clientProperties && options.clientProperties.capabilities) || {});
 };
 
 Connection.prototype.setImplOptions = function (options) {
   this.implOptions = Object.assign({}, defaultImplOptions, options || {});
+  this._reconnectBackoff = new Backoff(this.implOptions.reconnectBackoffStrategy, {
+    initial: this.implOptions.reconnectBackoffTime,
+    limit: this.implOptions.reconnectExponentialLimit
+  });
+
+  // How queues and exchanges reopen a channel the server closed, see
+  // Channel#_recoverAfter.
+  this._channelRecovery = null;
+  if (this.implOptions.channelRecovery) {
+    var recovery = this.implOptions.channelRecovery === true ? {} : this.implOptions.channelRecovery;
+    this._channelRecovery = Object.assign({}, defaultChannelRecovery, recovery);
+    // Fail now on an unknown strategy rather than on the first channel error.
+    new Backoff(this._channelRecovery.strategy, this._channelRecovery);
+  }
 };
 
 Connection.prototype.connect = function () {
   // If this is our first connection, add listeners.
   if (!this.socket) this.addAllListeners();
+  this._closing = false;
 
   this._createSocket();
   this._startHandshake();
@@ -100,8 +208,9 @@ Connection.prototype.connect = function () {
 
 Connection.prototype.reconnect = function () {
   // Suspend activity on channels
+  var err = new Error('Connection lost, reconnecting');
   for (var channel in this.channels) {
-    this.channels[channel].state = 'closed';
+    if (channel !== '0') suspendChannel(this.channels[channel], err, false);
   }
   debug && debug("Connection lost, reconnecting...");
   // Terminate socket activity
@@ -109,6 +218,22 @@ Connection.prototype.reconnect = function () {
   this.connect();
 };
 
+// Marks a channel closed, along with the queues and exchanges sharing it,
+// and fails what they were waiting for; with `all` what they hadn't sent
+// yet as well, when the connection isn't coming back. Reopening it is up to
+// the connection now.
+function suspendChannel (channel, err, all) {
+  channel.state = 'closed';
+  channel._cancelRecovery();
+  channel._failTasks(err, all);
+  if (channel._handles) {
+    channel._handles.forEach(function (handle) {
+      handle.state = 'closed';
+      handle._failTasks(err, all);
+    });
+  }
+}
+
 Connection.prototype.disconnect = function () {
   debug && debug("Sending disconnect request to server");
   this._sendMethod(0, methods.connectionClose, {
@@ -119,6 +244,160 @@ Connection.prototype.disconnect = function () {
   });
 };
 
+// Shuts the connection down gracefully, in four steps:
+// 1. cancels every consumer, so no new messages are delivered,
+// 2. waits until the messages received in ack mode have been acknowledged
+//    (or rejected) and the publishes on confirm exchanges are confirmed;
+//    there is no telling when the handler of a noAck message is done, so
+//    those aren't waited for,
+// 3. closes every channel, and
+// 4. closes the connection itself.
+// Steps 1 to 3 take at most `options.timeout` ms (default 10000) together;
+// after that we move on regardless. Returns a native promise which is
+// fulfilled when the server has confirmed the close. The optional callback
+// is called with an error or nothing.
+Connection.prototype.close = function (options, callback) {
+  var self = this;
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  options = Object.assign({ timeout: 10000 }, options || {});
+  var deadline = Date.now() + options.timeout;
+
+  // Whatever happens from here on, don't come back.
+  this._closing = true;
+
+  var promise = untilDeadline(cancelConsumers(this), deadline)
+    .then(function () {
+      return untilSettled(self, deadline);
+    })
+    .then(function () {
+      return untilDeadline(closeChannels(self), deadline);
+    })
+    .then(function () {
+      return closeConnection(self);
+    });
+
+  if (typeof callback === 'function') {
+    promise.then(function () { callback(); }, callback);
+  }
+  return promise;
+};
+
+// Settles once `promise` has, or at `deadline`, whichever comes first.
+function untilDeadline (promise, deadline) {
+  var timer;
+  return global.Promise.race([
+    promise,
+    new global.Promise(function (resolve) {
+      timer = setTimeout(resolve, Math.max(0, deadline - Date.now()));
+    })
+  ]).then(function () {
+    clearTimeout(timer);
+  });
+}
+
+function cancelConsumers (connection) {
+  var cancels = [];
+  Object.keys(connection.queues || {}).forEach(function (name) {
+    var queue = connection.queues[name];
+    if (queue.state !== 'open') return;
+    Object.keys(queue.consumerTagListeners).forEach(function (consumerTag) {
+      cancels.push(queue.unsubscribe(consumerTag));
+    });
+  });
+  return global.Promise.all(cancels);
+}
+
+// Resolves once nothing is waiting to be acknowledged (see isSettled), or
+// at `deadline`. Checked again whenever a queue settles a message, an
+// exchange gets a confirm, or the connection fails, which drops whatever
+// was outstanding.
+function untilSettled (connection, deadline) {
+  return new global.Promise(function (resolve) {
+    var listening = [], finished = false;
+    var timer = setTimeout(done, Math.max(0, deadline - Date.now()));
+
+    function listen (emitter, event) {
+      emitter.on(event, check);
+      listening.push([emitter, event]);
+    }
+    function check () {
+      // An exchange emits 'basic-ack' before it applies the confirm.
+      process.nextTick(function () {
+        if (isSettled(connection)) done();
+      });
+    }
+    function done () {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      listening.forEach(function (l) { l[0].removeListener(l[1], check); });
+      resolve();
+    }
+
+    Object.keys(connection.queues || {}).forEach(function (name) {
+      listen(connection.queues[name], 'settled');
+      listen(connection.queues[name], 'close');
+    });
+    Object.keys(connection.exchanges || {}).forEach(function (name) {
+      listen(connection.exchanges[name], 'basic-ack');
+      listen(connection.exchanges[name], 'basic-nack');
+      listen(connection.exchanges[name], 'close');
+    });
+    listen(connection, 'error');
+    listen(connection, 'close');
+    check();
+  });
+}
+
+// True once nothing is waiting to be acknowledged, in either direction, on
+// a channel that is still open.
+function isSettled (connection) {
+  var name;
+  for (name in connection.queues) {
+    var queue = connection.queues[name];
+    if (queue.state === 'open' && queue._unacked.length) return false;
+  }
+  for (name in connection.exchanges) {
+    var exchange = connection.exchanges[name];
+    if (exchange.state === 'open' && Object.keys(exchange._unAcked).length) return false;
+  }
+  return true;
+}
+
+function closeChannels (connection) {
+  var closes = [];
+  Object.keys(connection.channels || {}).forEach(function (id) {
+    var channel = connection.channels[id];
+    if (id === '0' || channel.state !== 'open') return;
+    closes.push(new global.Promise(function (resolve) {
+      channel.once('close', resolve);
+    }));
+    channel.close();
+  });
+  return global.Promise.all(closes);
+}
+
+function closeConnection (connection) {
+  return new global.Promise(function (resolve, reject) {
+    function onClose () {
+      connection._closeOkCallback = null;
+      reject(new Error('Connection closed before the server confirmed the close'));
+    }
+    connection._closeOkCallback = function () {
+      connection._closeOkCallback = null;
+      connection.removeListener('close', onClose);
+      connection.end();
+      resolve();
+    };
+    connection.once('close', onClose);
+    connection.disconnect();
+  });
+}
+
 Connection.prototype.addAllListeners = function() {
   var self = this;
   var connectEvent = this.options.ssl.enabled ? 'secureConnect' : 'connect';
@@ -148,7 +427,7 @@ Connection.prototype.addAllListeners = function() {
     };
 
     self.parser.onContentHeader = function (channel, classInfo, weight, properties, size) {
-      debug && debug(channel + " > content header " + JSON.stringify([classInfo.name, weight, properties, size]));
+      debug && debug(channel + " > content header " + util.inspect([classInfo.name, weight, properties, size]));
       if (self.channels[channel] && self.channels[channel]._onContentHeader) {
         self.channels[channel]._onContentHeader(channel, classInfo, weight, properties, size);
       } else {
@@ -168,6 +447,7 @@ Connection.prototype.addAllListeners = function() {
 
     // Remove readyEmitted flag so we can detect an auth error.
     self.readyEmitted = false;
+    self._credentialsSent = false;
   });
 
   self.addListener('data', function (data) {
@@ -182,7 +462,6 @@ Connection.prototype.addAllListeners = function() {
     self._inboundHeartbeatTimerReset();
   });
 
-  var backoffTime = null;
   self.addListener('error', function backoff(e) {
     if (self._inboundHeartbeatTimer !== null) {
       clearTimeout(self._inboundHeartbeatTimer);
@@ -203,12 +482,16 @@ Connection.prototype.addAllListeners = function() {
       // Reset parser state
       self.parser = null;
 
+      var maxAttempts = self.implOptions.reconnectMaxAttempts;
+      var reconnects = self._reconnectsAfter(e) &&
+          !(maxAttempts && self._reconnectBackoff.attempt >= maxAttempts);
+
       // In order for our reconnection to be seamless, we have to notify the
       // channels that they are no longer connected so that nobody attempts
       // to send messages which would be doomed to fail.
       for (var channel in self.channels) {
         if (channel !== '0') {
-          self.channels[channel].state = 'closed';
+          suspendChannel(self.channels[channel], e, !reconnects);
         }
       }
       // Queues are channels (so we have already marked them as closed), but
@@ -219,36 +502,29 @@ Connection.prototype.addAllListeners = function() {
         for (var index in self.queues[queue].consumerTagOptions) {
           self.queues[queue].consumerTagOptions[index]['state'] = 'closed';
         }
+        self.queues[queue]._failGets(e);
       }
 
       // Begin reconnection attempts
-      if (self.implOptions.reconnect) {
+      if (self._reconnects() && !self._reconnectsAfter(e)) {
+        debug && debug("Not reconnecting after an authentication failure");
+        self.removeListener('error', backoff);
+      } else if (self._reconnects() && maxAttempts &&
+          self._reconnectBackoff.attempt >= maxAttempts) {
+        // Give up for good; nothing else will be tried on our own.
+        debug && debug("Giving up reconnecting after " + maxAttempts + " attempts");
+        self.removeListener('error', backoff);
+        self.emit('reconnectFailed', e);
+      } else if (self._reconnects()) {
         // Don't thrash, use a backoff strategy.
-        if (backoffTime === null) {
-          // This is the first time we've failed since a successful connection,
-          // so use the configured backoff time without any modification.
-          backoffTime = self.implOptions.reconnectBackoffTime;
-        } else if (self.implOptions.reconnectBackoffStrategy === 'exponential') {
-          // If you've configured exponential backoff, we'll double the
-          // backoff time each subsequent attempt until success.
-          backoffTime *= 2;
-          // limit the maxium timeout, to avoid potentially unlimited stalls
-          if(backoffTime > self.implOptions.reconnectExponentialLimit){
-            backoffTime = self.implOptions.reconnectExponentialLimit;
-          }
-
-        } else if (self.implOptions.reconnectBackoffStrategy === 'linear') {
-          // Linear strategy is the default.  In this case, we will retry at a
-          // constant interval, so there's no need to change the backoff time
-          // between attempts.
-        } else {
-          // TODO should we warn people if they picked a nonexistent strategy?
-        }
+        var backoffTime = self._reconnectBackoff.next(e);
+        debug && debug("Reconnecting in " + backoffTime + "ms");
 
         setTimeout(function () {
           // Set to false, so that if we fail in the reconnect attempt, we can
           // schedule another one.
           self.connectionAttemptScheduled = false;
+          if (self._closing) return;
           self.reconnect();
         }, backoffTime);
       } else {
@@ -257,15 +533,28 @@ Connection.prototype.addAllListeners = function() {
     }
   });
 
+  // Nothing buffered for a closed socket goes out any more; don't leave
+  // anybody waiting for it to.
+  self.addListener('close', function () {
+    if (self.needsDrain) self._writeDrained();
+
+    // Nor is anything the channels still wait for or hold coming, unless
+    // the connection is.
+    if (self._reconnects()) return;
+    var err = new Error('Connection closed');
+    for (var channel in self.channels) {
+      if (channel !== '0') suspendChannel(self.channels[channel], err, true);
+    }
+  });
+
   self.addListener('ready', function () {
     // Reset the backoff time since we have successfully connected.
-    backoffTime = null;
+    self._reconnectBackoff.reset();
 
     if (self.implOptions.reconnect) {
-      // Reconnect any channels which were open.
-      for (const index in self.channels) {
-        if (index !== '0') self.channels[index].reconnect();
-      };
+      // Reopen the channels which were open, and with them everything that
+      // was declared on them.
+      self.topology.recover();
     }
 
     // Set 'ready' flag for auth failure detection.
@@ -275,16 +564,20 @@ Connection.prototype.addAllListeners = function() {
     self._outboundHeartbeatTimerReset();
   });
 
-  // Apparently, it is not possible to determine if an authentication error
-  // has occurred, but when the connection closes then we can HINT that a
-  // possible authentication error has occured.  Although this may be a bug
-  // in the spec, handling it as a possible error is considerably better than
-  // failing silently.
+  // Servers with the authentication_failure_close capability send a
+  // connection.close saying why they refuse us (see _onMethod). Others just
+  // end the connection once they have our credentials, so when that happens
+  // we can only HINT that a possible authentication error has occured.
   self.addListener('end', function (){
-    if (!this.readyEmitted){
-      this.emit('error', new Error(
+    if (this.readyEmitted) return;
+
+    var capabilities = this.serverCapabilities || {};
+    if (this._credentialsSent && !capabilities.authentication_failure_close) {
+      this.emit('error', new AuthenticationError(
         'Connection ended: possibly due to an authentication failure.'
       ));
+    } else {
+      this.emit('error', new Error('Connection ended before it was ready.'));
     }
   });
 };
@@ -317,6 +610,32 @@ Connection.prototype.exchange = function (name, options, openCallback) {
   return exchange;
 };
 
+// Opens a channel which any number of queues and exchanges can share:
+//
+//   var channel = connection.createChannel();
+//   var exchange = channel.exchange('my-exchange');
+//   var queue = channel.queue('my-queue');
+Connection.prototype.createChannel = function () {
+  try{
+    var channel = this.generateChannelId();
+  }catch(exception){
+    this.emit("error", exception);
+    return;
+  }
+  var sharedChannel = new SharedChannel(this, channel);
+  this.channels[channel] = sharedChannel;
+  return sharedChannel;
+};
+
+// Throws unless the server announced `capability` in connection.start.
+// Until it has, there is nothing to go by and everything is allowed.
+Connection.prototype._requireCapability = function (capability, feature) {
+  if (!this.serverCapabilities || this.serverCapabilities[capability] === true) return;
+
+  throw new errors.NotImplementedError(feature + " is not supported by the server (it lacks the '" +
+      capability + "' capability)");
+};
+
 // remove an exchange when it's closed (called from Exchange)
 Connection.prototype.exchangeClosed = function (name) {
   if (this.exchanges[name]) delete this.exchanges[name];
@@ -361,12 +680,18 @@ Connection.prototype.publish = function (routingKey, body, options, callback) {
 
   var exchange = this._defaultExchange;
   if (exchange.state === 'open') {
-    exchange.publish(routingKey, body, options, callback);
-  } else {
-    exchange.once('open', function() {
-      exchange.publish(routingKey, body, options, callback);
-    });
+    return exchange.publish(routingKey, body, options, callback);
   }
+
+  var promise = new Promise();
+  // Failures are reported to the callback, as exchange.publish does.
+  promise.addErrback(function () {});
+  exchange.once('open', function() {
+    exchange.publish(routingKey, body, options, callback)
+      .addCallback(function () { promise.emitSuccess(); })
+      .addErrback(function (err) { promise.emitError(err); });
+  });
+  return promise;
 };
 
 Connection.prototype._bodyToBuffer = function (body) {
@@ -420,27 +745,30 @@ Connection.prototype._outboundHeartbeatTimerReset = function () {
   }
 };
 
-Connection.prototype._saslResponse = function () {
-  var response;
-  if (this.options.authMechanism == 'AMQPLAIN')
-    response = {
-      LOGIN: this.options.login,
-      PASSWORD: this.options.password
-    };
-  else if (this.options.authMechanism == 'PLAIN')
-    response = "\0" + this.options.login + "\0" + this.options.password;
-  else if (this.options.authMechanism == 'EXTERNAL')
-    response = "\0";
-  else if (this.options.authMechanism == 'ANONYMOUS')
-    response = "\0";
-  else
-    response = this.options.response;
-
-  return response;
-}
+// Picks the SASL mechanism to authenticate with from those the server
+// offers, see lib/sasl.js. Returns the mechanism and initial response for
+// connection.start-ok, or null if there is none we can use.
+Connection.prototype._saslStart = function (offered) {
+  var preferred = [].concat(this.options.authMechanism);
+  var name = sasl.choose(preferred, offered);
+
+  if (name) {
+    this._sasl = sasl.mechanisms[name](this.options);
+    return { mechanism: name, response: this._sasl.response };
+  }
+
+  // An unregistered mechanism, with the response given up front.
+  if (this.options.response !== undefined && preferred.length === 1 &&
+      !sasl.mechanisms[preferred[0]]) {
+    this._sasl = {};
+    return { mechanism: preferred[0], response: this.options.response };
+  }
+
+  return null;
+};
 
 Connection.prototype._onMethod = function (channel, method, args) {
-  debug && debug(channel + " > " + method.name + " " + JSON.stringify(args));
+  debug && debug(channel + " > " + method.name + " " + util.inspect(args));
 
   // Channel 0 is the control channel. If not zero then delegate to
   // one of the channel objects.
@@ -470,17 +798,51 @@ Connection.prototype._onMethod = function (channel, method, args) {
         return;
       }
       this.serverProperties = args.serverProperties;
+      this.serverCapabilities = (args.serverProperties && args.serverProperties.capabilities) || {};
+      var start = this._saslStart(args.mechanisms);
+      if (!start) {
+        // Trying again wouldn't change that.
+        this.socket.destroy(new AuthenticationError("The server offers none of the " +
+            "authentication mechanisms " + [].concat(this.options.authMechanism).join(', ') +
+            " (it offers " + args.mechanisms + ")", null));
+        return;
+      }
       // 3. Then we reply with StartOk, containing our useless information.
       this._sendMethod(0, methods.connectionStartOk, {
         clientProperties: this.options.clientProperties,
-        mechanism: this.options.authMechanism,
-        response: this._saslResponse(),
+        mechanism: start.mechanism,
+        response: start.response,
         locale: 'en_US'
       });
+      this._credentialsSent = true;
+      break;
+
+    // 3a. Some mechanisms need more rounds; the server sends a challenge
+    // and we answer until it moves on to connectionTune.
+    case methods.connectionSecure:
+      var response;
+      try {
+        if (!this._sasl || !this._sasl.challenge) {
+          throw new Error("Authentication mechanism does not support challenges");
+        }
+        response = this._sasl.challenge(args.challenge);
+      } catch (err) {
+        this.socket.end();
+        this.emit('error', err);
+        return;
+      }
+      this._sendMethod(0, methods.connectionSecureOk, { response: response });
       break;
 
     // 4. The server responds with a connectionTune request
     case methods.connectionTune:
+      // Which means it accepted the login; for mechanisms where the server
+      // proves itself too, it had better have done so by now.
+      if (this._sasl && this._sasl.verified && !this._sasl.verified()) {
+        this.socket.destroy(new AuthenticationError("The server accepted the login " +
+            "without proving its own identity", null));
+        return;
+      }
       if (args.frameMax) {
           debug && debug("tweaking maxFrameBuffer to " + args.frameMax);
           maxFrameBuffer = args.frameMax;
@@ -520,8 +882,14 @@ Connection.prototype._onMethod = function (channel, method, args) {
       break;
 
     case methods.connectionClose:
-      var e = new Error(args.replyText);
-      e.code = args.replyCode;
+      var e;
+      // During the handshake these mean our credentials, or our access to
+      // the vhost, were refused.
+      if (!this.readyEmitted && (args.replyCode === 403 || args.replyCode === 530)) {
+        e = new AuthenticationError(args.replyText, args.replyCode, args);
+      } else {
+        e = errors.fromClose(args, false);
+      }
       if (!this.listeners('close').length) {
         console.log('Unhandled connection error: ' + args.replyText);
       }
@@ -530,6 +898,7 @@ Connection.prototype._onMethod = function (channel, method, args) {
 
     case methods.connectionCloseOk:
       debug && debug("Received close-ok from server, closing socket");
+      if (this._closeOkCallback) this._closeOkCallback();
       this.socket.end();
       this.socket.destroy();
       break;
@@ -550,7 +919,7 @@ Connection.prototype._onMethod = function (channel, method, args) {
 
     default:
       throw new Error("Uncaught method '" + method.name + "' with args " +
-          JSON.stringify(args));
+          util.inspect(args));
   }
 };
 
@@ -636,6 +1005,8 @@ Connection.prototype._createSocket = function() {
     debug && debug('making non-ssl connection');
     this.socket = net.connect(options, resetConnectionTimeout);
   }
+  // Whatever was corked belonged to the old socket.
+  this._corked = false;
   var connTimeout = this.options.connectionTimeout;
   if (connTimeout) {
     debug && debug('setting connection timeout to ' + connTimeout);
@@ -658,7 +1029,7 @@ Connection.prototype._createSocket = function() {
   }
 
   // Proxy a few methods that we use / previously used.
-  var methods = ['destroy', 'write', 'pause', 'resume', 'setEncoding', 'ref', 'unref', 'address'];
+  var methods = ['destroy', 'pause', 'resume', 'setEncoding', 'ref', 'unref', 'address'];
   for (const method of methods){
     self[method] = function(){
       self.socket[method].apply(self.socket, arguments);
@@ -668,6 +1039,7 @@ Connection.prototype._createSocket = function() {
 
 Connection.prototype.end = function() {
   if (this.socket) {
+    this._flush();
     this.socket.end();
   }
 
@@ -720,6 +1092,68 @@ Connection.prototype._getSSLOptions = function() {
   return this.sslConnectionOptions;
 };
 
+// Writes to the socket. Returns false once more than writeHighWaterMark bytes
+// are waiting to be sent, in which case the caller should hold off until the
+// connection emits 'writeDrain'. Unlike the socket's 'drain', which the
+// connection passes on as well, that is only emitted after needsDrain was
+// set, and also when the socket closes meanwhile.
+Connection.prototype.write = function (data) {
+  var self = this;
+  var highWaterMark = this.options.writeHighWaterMark;
+
+  this._cork();
+
+  if (!this.needsDrain && this.socket.writableLength + data.length < highWaterMark) {
+    this.socket.write(data);
+    return true;
+  }
+
+  // Over the mark. Every write from here on checks, once it has gone out,
+  // whether the buffer is back under it.
+  this.needsDrain = true;
+  this.socket.write(data, function () {
+    if (self.needsDrain && self.socket.writableLength < highWaterMark) self._writeDrained();
+  });
+  return false;
+};
+
+Connection.prototype._writeDrained = function () {
+  this.needsDrain = false;
+  this.emit('writeDrain');
+};
+
+// Frames written during one tick of the event loop are held back and go out
+// together at the end of it, in as few system calls as the socket manages.
+Connection.prototype._cork = function () {
+  if (this._corked) return;
+  var self = this;
+  this._corked = true;
+  this.socket.cork();
+  process.nextTick(function () { self._flush(); });
+};
+
+Connection.prototype._flush = function () {
+  if (!this._corked) return;
+  this._corked = false;
+  this.socket.uncork();
+};
+
+// Returns a Buffer of `size` bytes for an outbound frame. Small frames are
+// cut from a shared slab rather than each getting an allocation of their own;
+// a slab is never written to again once it has been handed out, so frames
+// still queued in the socket stay intact.
+Connection.prototype._allocFrame = function (size) {
+  if (size > slabSize / 2) return Buffer.allocUnsafe(size);
+
+  if (!this._slab || this._slabUsed + size > slabSize) {
+    this._slab = Buffer.allocUnsafe(slabSize);
+    this._slabUsed = 0;
+  }
+  var frame = this._slab.slice(this._slabUsed, this._slabUsed + size);
+  this._slabUsed += size;
+  return frame;
+};
+
 // Time to start the AMQP 7-way connection initialization handshake!
 // 1. The client sends the server a version string
 Connection.prototype._startHandshake = function() {
@@ -747,9 +1181,10 @@ Connection.prototype._sendBody = function (channel, body, properties) {
 
   while (len > 0) {
     var bodySize = len < maxBodySize ? len : maxBodySize;
-    var frameSize = bodySize + metaSize;
 
-    var b = new Buffer(frameSize);
+    // The body is copied: the socket may hold on to the frame for a while,
+    // and the caller is free to reuse its Buffer once publish() returns.
+    var b = this._allocFrame(bodySize + metaSize);
     b.used = 0;
     b[b.used++] = 3; // constants.frameBody
     serializer.serializeInt(b, 2, channel);
@@ -783,8 +1218,7 @@ Connection.prototype._sendBody = function (channel, body, properties) {
 // - appId
 // - clusterId
 Connection.prototype._sendHeader = function(channel, size, properties) {
-  var b = new Buffer(maxFrameBuffer); // FIXME allocating too much.
-                                      // use freelist?
+  var b = this._sendBuffer;
   b.used = 0;
 
   var classInfo = classes[60]; // always basic class.
@@ -830,8 +1264,8 @@ Connection.prototype._sendHeader = function(channel, size, properties) {
 
   b[b.used++] = 206; // constants.frameEnd;
 
-  var s = new Buffer(b.used);
-  b.copy(s);
+  var s = this._allocFrame(b.used);
+  b.copy(s, 0, 0, b.used);
 
   //debug && debug('header sent: ' + JSON.stringify(s));
 
@@ -839,7 +1273,7 @@ Connection.prototype._sendHeader = function(channel, size, properties) {
 };
 
 Connection.prototype._sendMethod = function (channel, method, args) {
-  debug && debug(channel + " < " + method.name + " " + JSON.stringify(args));
+  debug && debug(channel + " < " + method.name + " " + util.inspect(args));
   var b = this._sendBuffer;
   b.used = 0;
 
@@ -868,8 +1302,8 @@ Connection.prototype._sendMethod = function (channel, method, args) {
 
   b[b.used++] = 206; // constants.frameEnd;
 
-  var c = new Buffer(b.used);
-  b.copy(c);
+  var c = this._allocFrame(b.used);
+  b.copy(c, 0, 0, b.used);
 
   debug && debug("sending frame: " + c.toJSON());
 
@@ -1,22 +1,26 @@
 module.exports = {
   AMQPTypes: Object.freeze({
-      STRING:       'S'.charCodeAt(0)
-    , INTEGER:      'I'.charCodeAt(0)
-    , HASH:         'F'.charCodeAt(0)
-    , TIME:         'T'.charCodeAt(0)
-    , DECIMAL:      'D'.charCodeAt(0)
-    , BOOLEAN:      't'.charCodeAt(0)
-    , SIGNED_8BIT:  'b'.charCodeAt(0)
-    , SIGNED_16BIT: 's'.charCodeAt(0)
-    , SIGNED_64BIT: 'l'.charCodeAt(0)
-    , _32BIT_FLOAT: 'f'.charCodeAt(0)
-    , _64BIT_FLOAT: 'd'.charCodeAt(0)
-    , VOID:         'V'.charCodeAt(0)
-    , BYTE_ARRAY:   'x'.charCodeAt(0)
-    , ARRAY:        'A'.charCodeAt(0)
-    , TEN:          '10'.charCodeAt(0)
-    , BOOLEAN_TRUE: '\x01'
-    , BOOLEAN_FALSE:'\x00'
+      STRING:         'S'.charCodeAt(0)
+    , INTEGER:        'I'.charCodeAt(0) // signed 32-bit
+    , HASH:           'F'.charCodeAt(0)
+    , TIME:           'T'.charCodeAt(0)
+    , DECIMAL:        'D'.charCodeAt(0)
+    , BOOLEAN:        't'.charCodeAt(0)
+    , SIGNED_8BIT:    'b'.charCodeAt(0)
+    , UNSIGNED_8BIT:  'B'.charCodeAt(0)
+    , SIGNED_16BIT:   's'.charCodeAt(0)
+    , UNSIGNED_16BIT: 'u'.charCodeAt(0)
+    , UNSIGNED_32BIT: 'i'.charCodeAt(0)
+    , SIGNED_64BIT:   'l'.charCodeAt(0)
+    , UNSIGNED_64BIT: 'L'.charCodeAt(0)
+    , _32BIT_FLOAT:   'f'.charCodeAt(0)
+    , _64BIT_FLOAT:   'd'.charCodeAt(0)
+    , VOID:           'V'.charCodeAt(0)
+    , BYTE_ARRAY:     'x'.charCodeAt(0)
+    , ARRAY:          'A'.charCodeAt(0)
+    , TEN:            '10'.charCodeAt(0)
+    , BOOLEAN_TRUE:   '\x01'
+    , BOOLEAN_FALSE:  '\x00'
 
  })
  , Indicators: Object.freeze({
@@ -0,0 +1,53 @@
+'use strict';
+
+var types = require('./types');
+
+var streamOffsets = ['first', 'last', 'next'];
+
+// Builds the arguments table of a basic.consume from the RabbitMQ consumer
+// arguments, for the consumerArguments option of queue.subscribe():
+// - priority: x-priority, consumers with a higher priority get messages
+//   first, see https://www.rabbitmq.com/consumer-priority.html
+// - cancelOnHaFailover: x-cancel-on-ha-failover, the server cancels the
+//   consumer when the mirrored queue fails over
+// - streamOffset: x-stream-offset, where a stream consumer starts: 'first',
+//   'last', 'next', an offset, a Date or an interval such as '7D'
+// Keys starting with 'x-' are copied as they are.
+module.exports = function consumerArguments (options) {
+  var table = {};
+
+  Object.keys(options || {}).forEach(function (key) {
+    var value = options[key];
+
+    switch (key) {
+      case 'priority':
+        table['x-priority'] = types.int32(value);
+        break;
+
+      case 'cancelOnHaFailover':
+        table['x-cancel-on-ha-failover'] = !!value;
+        break;
+
+      case 'streamOffset':
+        if (value instanceof Date) {
+          table['x-stream-offset'] = types.timestamp(value);
+        } else if (typeof value === 'number' || typeof value === 'bigint') {
+          table['x-stream-offset'] = types.int64(value);
+        } else if (streamOffsets.indexOf(value) !== -1 || /^\d+[YMDhms]$/.test(value)) {
+          table['x-stream-offset'] = value;
+        } else {
+          throw new Error("Expected a streamOffset of " + streamOffsets.join(', ') +
+              ", a number, a Date or an interval, got " + value);
+        }
+        break;
+
+      default:
+        if (key.indexOf('x-') !== 0) {
+          throw new Error("Unknown consumer argument '" + key + "'");
+        }
+        table[key] = value;
+    }
+  });
+
+  return table;
+};
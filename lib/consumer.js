@@ -0,0 +1,140 @@
+'use strict';
+var util = require('util');
+var Readable = require('stream').Readable;
+var Channel = require('./channel');
+var Message = require('./message');
+var debug = require('./debug');
+
+// Returned by queue.consume(). A Readable stream in object mode, so also an
+// async iterator, of the queue's messages, each with its decoded `body`
+// (what subscribe() passes as the first argument).
+//
+// The consumer works in ack mode and the server stops sending once
+// prefetchCount messages are unacknowledged. A message is acknowledged when
+// it is handed to the reader, or with manualAck when the reader calls
+// message.acknowledge() (or reject, nack). Either way a reader that falls
+// behind throttles delivery.
+//
+// Destroying the stream, which breaking out of a `for await` loop does,
+// cancels the consumer and requeues the messages not read yet. The stream
+// ends when the queue is closed, and is destroyed with the error when the
+// subscribe fails or the server closes the queue's channel, unless the
+// channel is being recovered.
+var Consumer = module.exports = function Consumer (queue, options) {
+  var self = this;
+
+  options = Object.assign({
+    prefetchCount: 16,
+    manualAck: false,
+    routingKeyInPayload: queue.connection.options.routingKeyInPayload,
+    deliveryTagInPayload: queue.connection.options.deliveryTagInPayload
+  }, options || {});
+
+  // Throws before anything is listened to, see subscribeRaw().
+  Channel.qosArgs({ prefetchCount: options.prefetchCount });
+
+  Readable.call(this, { objectMode: true, highWaterMark: options.prefetchCount || 16 });
+
+  this.queue = queue;
+  this.consumerTag = null;
+  this._manualAck = !!options.manualAck;
+  // Received but not handed to the reader yet.
+  this._unread = [];
+
+  // Resubscribing after a reconnect gives the consumer a new tag.
+  this._onTagChange = function (change) {
+    if (change.oldConsumerTag === self.consumerTag) self.consumerTag = change.consumerTag;
+  };
+  this._onClose = function () {
+    if (!queue._recovering) self.push(null);
+  };
+  this._onError = function (err) {
+    if (!queue._recovering) self.destroy(err);
+  };
+  // Errors closing a shared channel are only emitted on the channel.
+  this._errorSource = queue.sharedChannel || queue;
+  queue.connection.on('tag.change', this._onTagChange);
+  queue.on('close', this._onClose);
+  this._errorSource.on('error', this._onError);
+
+  var rawOptions = {
+    noAck: false,
+    prefetchCount: options.prefetchCount,
+    exclusive: options.exclusive
+  };
+  if (options.consumerTag) rawOptions.consumerTag = options.consumerTag;
+  if (options.consumerArguments) rawOptions.consumerArguments = options.consumerArguments;
+
+  this._subscribed = queue.subscribeRaw(rawOptions, function (m) {
+    Message.collect(m, options, function (body) {
+      // Delivered before the server got our basic.cancel.
+      if (self.destroyed) return self._requeue(m);
+
+      m.body = body;
+      self._unread.push(m);
+      var buffered = self.readableLength;
+      self.push(m);
+      // Not buffered but emitted as 'data' right away, see read().
+      if (self.readableLength === buffered) self._handedOut(m);
+    });
+  });
+  this._subscribed.addCallback(function (args) {
+    self.consumerTag = args.consumerTag;
+  });
+  this._subscribed.addErrback(this._onError);
+};
+util.inherits(Consumer, Readable);
+
+// Delivery is up to the server, see the prefetchCount.
+Consumer.prototype._read = function () {};
+
+// Messages are handed out by read(), which a flowing stream and an async
+// iterator use too, except that push() emits a message as 'data' directly
+// when a flowing stream has nothing buffered.
+Consumer.prototype.read = function (n) {
+  var message = Readable.prototype.read.call(this, n);
+  if (message !== null) this._handedOut(message);
+  return message;
+};
+
+Consumer.prototype._handedOut = function (message) {
+  var index = this._unread.indexOf(message);
+  if (index !== -1) this._unread.splice(index, 1);
+  if (!this._manualAck && this._outstanding(message)) message.acknowledge();
+};
+
+// Whether the message can still be settled: not yet, and received on the
+// channel that is open now.
+Consumer.prototype._outstanding = function (message) {
+  return this.queue.state === 'open' && this.queue._unacked.indexOf(message) !== -1;
+};
+
+Consumer.prototype._requeue = function (message) {
+  if (this._outstanding(message)) message.reject(true);
+};
+
+Consumer.prototype._destroy = function (err, callback) {
+  var self = this;
+  var queue = this.queue;
+
+  queue.connection.removeListener('tag.change', this._onTagChange);
+  queue.removeListener('close', this._onClose);
+  this._errorSource.removeListener('error', this._onError);
+
+  this._unread.splice(0).forEach(function (message) {
+    self._requeue(message);
+  });
+
+  function cancel () {
+    if (queue.state !== 'open' || !queue.consumerTagListeners[self.consumerTag]) return;
+    debug && debug('Cancelling consumer ' + self.consumerTag);
+    queue.unsubscribe(self.consumerTag);
+  }
+
+  if (this.consumerTag) {
+    cancel();
+  } else {
+    this._subscribed.addCallback(cancel);
+  }
+  callback(err);
+};
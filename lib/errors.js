@@ -0,0 +1,118 @@
+'use strict';
+var util = require('util');
+var classes = require('./definitions').classes;
+
+// Errors the server reports by closing a channel or the connection, with
+// the reply text as the message. They carry
+// - code (also as replyCode): the reply code, e.g. 404
+// - classId, methodId: the method that failed, 0 when there was none
+// - method: its name, e.g. 'queue.declare', or null
+// - soft: true for a channel error, which only closed the channel, false for
+//   a connection error, which closed the connection
+var AMQPError = exports.AMQPError = function AMQPError (message, args) {
+  args = args || {};
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.message = message;
+  this.code = this.replyCode = args.replyCode == null ? null : args.replyCode;
+  this.classId = args.classId || 0;
+  this.methodId = args.methodId || 0;
+  this.method = methodName(this.classId, this.methodId);
+};
+util.inherits(AMQPError, Error);
+AMQPError.prototype.name = 'AMQPError';
+
+var ChannelError = exports.ChannelError = function ChannelError (message, args) {
+  AMQPError.call(this, message, args);
+};
+util.inherits(ChannelError, AMQPError);
+ChannelError.prototype.name = 'ChannelError';
+ChannelError.prototype.soft = true;
+
+var ConnectionError = exports.ConnectionError = function ConnectionError (message, args) {
+  AMQPError.call(this, message, args);
+};
+util.inherits(ConnectionError, AMQPError);
+ConnectionError.prototype.name = 'ConnectionError';
+ConnectionError.prototype.soft = false;
+
+// What was closed decides whether an error is a ChannelError or a
+// ConnectionError, not the class for its code: a 403 closing the connection
+// is an AccessRefusedError and a ConnectionError. See fromClose.
+function ofLevel (soft) {
+  return function (err) {
+    return err instanceof AMQPError && err.soft === soft;
+  };
+}
+Object.defineProperty(ChannelError, Symbol.hasInstance, { value: ofLevel(true) });
+Object.defineProperty(ConnectionError, Symbol.hasInstance, { value: ofLevel(false) });
+
+function methodName (classId, methodId) {
+  var classInfo = classes[classId];
+  if (!classInfo) return null;
+  for (var i = 0; i < classInfo.methods.length; i++) {
+    if (classInfo.methods[i].index === methodId) {
+      return classInfo.name + '.' + classInfo.methods[i].name;
+    }
+  }
+  return null;
+}
+
+// One subclass per reply code, under ChannelError for the codes the spec
+// calls soft and ConnectionError for the hard ones. Made without a reply
+// code, e.g. by the client itself, they carry their own.
+var byCode = {};
+
+function define (name, Parent, code) {
+  var ReplyError = function (message, args) {
+    if (!args || args.replyCode == null) args = Object.assign({}, args, { replyCode: code });
+    Parent.call(this, message, args);
+  };
+  Object.defineProperty(ReplyError, 'name', { value: name });
+  util.inherits(ReplyError, Parent);
+  ReplyError.prototype.name = name;
+  byCode[code] = ReplyError;
+  exports[name] = ReplyError;
+}
+
+define('ContentTooLargeError',    ChannelError,    311); // CONTENT_TOO_LARGE
+define('NoConsumersError',        ChannelError,    313); // NO_CONSUMERS
+define('AccessRefusedError',      ChannelError,    403); // ACCESS_REFUSED
+define('NotFoundError',           ChannelError,    404); // NOT_FOUND
+define('ResourceLockedError',     ChannelError,    405); // RESOURCE_LOCKED
+define('PreconditionFailedError', ChannelError,    406); // PRECONDITION_FAILED
+define('ConnectionForcedError',   ConnectionError, 320); // CONNECTION_FORCED
+define('InvalidPathError',        ConnectionError, 402); // INVALID_PATH
+define('FrameError',              ConnectionError, 501); // FRAME_ERROR
+define('AMQPSyntaxError',         ConnectionError, 502); // SYNTAX_ERROR
+define('CommandInvalidError',     ConnectionError, 503); // COMMAND_INVALID
+define('InvalidChannelError',     ConnectionError, 504); // CHANNEL_ERROR
+define('UnexpectedFrameError',    ConnectionError, 505); // UNEXPECTED_FRAME
+define('ResourceError',           ConnectionError, 506); // RESOURCE_ERROR
+define('NotAllowedError',         ConnectionError, 530); // NOT_ALLOWED
+define('NotImplementedError',     ConnectionError, 540); // NOT_IMPLEMENTED
+define('InternalError',           ConnectionError, 541); // INTERNAL_ERROR
+
+// Builds the error for the arguments of a channel.close (soft) or
+// connection.close, of the class for the reply code, or plain ChannelError
+// or ConnectionError for codes without one. Servers send some codes at the
+// other level than the spec says, e.g. RabbitMQ closes the connection with
+// 403 ACCESS_REFUSED, so `soft` is taken from what was actually closed, and
+// with it whether the error is a ChannelError or a ConnectionError.
+exports.fromClose = function (args, soft) {
+  var ReplyError = byCode[args.replyCode] || (soft ? ChannelError : ConnectionError);
+  var err = new ReplyError(args.replyText, args);
+  if (err.soft !== soft) err.soft = soft;
+  return err;
+};
+
+// The server refused our credentials or access to the vhost. `code` is the
+// reply code of the server's connection.close (403 ACCESS_REFUSED or 530
+// NOT_ALLOWED), or null when the server only dropped the connection during
+// the handshake, which servers without the authentication_failure_close
+// capability do.
+var AuthenticationError = exports.AuthenticationError = function AuthenticationError (message, code, args) {
+  ConnectionError.call(this, message, Object.assign({}, args, { replyCode: code }));
+};
+util.inherits(AuthenticationError, ConnectionError);
+AuthenticationError.prototype.name = 'AuthenticationError';
@@ -5,14 +5,33 @@ var net = require('net');
 var tls = require('tls');
 var fs = require('fs');
 var methods = require('./definitions').methods;
+var Promise = require('./promise').Promise;
 var Channel = require('./channel');
+var Message = require('./message');
+var PublishStream = require('./publish-stream');
 var debug = require('./debug');
+var errors = require('./errors');
 
 const defaults = (...args) =>
   args.reverse().reduce((acc, obj) => ({ ...acc, ...obj }), {});
 
+// What publish() does with a message when the publish buffer is full.
+var overflowPolicies = ['drop-oldest', 'drop-newest', 'error'];
+
 
 var Exchange = module.exports = function Exchange (connection, channel, name, options, openCallback) {
+  var self = this;
+  var publishBuffer = null;
+
+  if (options && options.publishBuffer) {
+    publishBuffer = defaults(options.publishBuffer === true ? {} : options.publishBuffer,
+                             {limit: 1000, overflow: 'error'});
+    if (overflowPolicies.indexOf(publishBuffer.overflow) === -1) {
+      throw new Error("Unknown publishBuffer overflow policy '" + publishBuffer.overflow +
+          "', expected one of " + overflowPolicies.join(', '));
+    }
+  }
+
   Channel.call(this, connection, channel);
   this.name = name;
   this.binds = 0; // keep track of queues bound
@@ -24,16 +43,70 @@ var Exchange = module.exports = function Exchange (connection, channel, name, op
   this._sequence = null;
   this._unAcked  = {};
   this._addedExchangeErrorHandler = false;
+
+  // Publishes held while the exchange isn't open, see publish().
+  this._publishBuffer = publishBuffer;
+  this._buffered = [];
+  this._closed = false;
+  // Set by the topology while a reconnect is restoring it, see
+  // Topology#recover.
+  this._awaitingTopology = false;
+  if (publishBuffer || (options && options.republishUnconfirmed)) {
+    // Held publishes go out when the exchange opens, except after a
+    // reconnect: then only once the queues and bindings they are routed to
+    // are back too.
+    this.on('open', function () {
+      if (!self._awaitingTopology) self._replayBuffered();
+    });
+    connection.on('topologyRecovered', function () {
+      if (self.state === 'open') self._replayBuffered();
+    });
+    // Nothing held is going anywhere once the connection gives up. Wait for
+    // the error handlers, which may yet move unconfirmed publishes here.
+    connection.on('reconnectFailed', function (err) {
+      process.nextTick(function () {
+        self._failBuffered(err);
+      });
+    });
+  }
+
+  this.on('open', function () {
+    self.connection.topology.addExchange(self);
+  });
+  // Reopened on its own, see Channel#_recoverAfter.
+  this.on('recovered', function () {
+    self.connection.topology.replay(self);
+  });
 };
 util.inherits(Exchange, Channel);
 
-// creates an error handler scoped to the given `exchange`
-function createExchangeErrorHandlerFor (exchange) {
+// creates an error handler scoped to the given `exchange`. `reopens(err)`
+// tells whether the exchange will be opened again after the error.
+function createExchangeErrorHandlerFor (exchange, reopens) {
   return function (err) {
     if (!exchange.options.confirm) return;
 
-    // should requeue instead?
+    // With republishUnconfirmed, whatever the broker never confirmed goes
+    // out again, ahead of anything buffered, once the exchange reopens.
     // https://www.rabbitmq.com/reliability.html#producer
+    if (exchange.options.republishUnconfirmed && !exchange._closed && reopens(err)) {
+      debug && debug('Exchange error handler triggered, keeping unacked publishes to republish');
+      var unconfirmed = Object.keys(exchange._unAcked).sort(function (a, b) {
+        return a - b;
+      }).map(function (id) {
+        var task = exchange._unAcked[id];
+        delete exchange._unAcked[id];
+        return {
+          routingKey: task.publishArgs.routingKey,
+          data: task.publishArgs.data,
+          options: task.publishArgs.options,
+          promise: task
+        };
+      });
+      exchange._buffered = unconfirmed.concat(exchange._buffered);
+      return;
+    }
+
     debug && debug('Exchange error handler triggered, erroring and wiping all unacked publishes');
     for (var id in exchange._unAcked) {
       var task = exchange._unAcked[id];
@@ -49,18 +122,15 @@ Exchange.prototype._onMethod = function (channel, method, args) {
   if (this._handleTaskReply.apply(this, arguments))
     return true;
 
-  var cb;
-
   switch (method) {
     case methods.channelOpenOk:
-      this._sequence = null;
+      // A shared channel resets its own sequence when it is (re)opened.
+      if (!this.sharedChannel) this._sequence = null;
 
-      if (!this._addedExchangeErrorHandler) {
-        var errorHandler = createExchangeErrorHandlerFor(this);
-        this.connection.on('error', errorHandler);
-        this.on('error', errorHandler);
-        this._addedExchangeErrorHandler = true;
-      }
+      // Closing the channel forgot us, see channelClose.
+      if (this._recovering) this.connection.exchanges[this.name] = this;
+
+      if (!this._addedExchangeErrorHandler) this._addErrorHandlers();
 
       // Pre-baked exchanges don't need to be declared
       if (/^$|(amq\.)/.test(this.name)) {
@@ -96,7 +166,7 @@ Exchange.prototype._onMethod = function (channel, method, args) {
 
         this.emit('open');
       } else {
-        this.connection._sendMethod(channel, methods.exchangeDeclare,
+        this._sendMethod(methods.exchangeDeclare,
             { reserved1:  0
             , reserved2:  false
             , reserved3:  false
@@ -128,7 +198,8 @@ Exchange.prototype._onMethod = function (channel, method, args) {
       break;
 
     case methods.confirmSelectOk:
-      this._sequence = 1;
+      var owner = this._sequenceOwner();
+      if (owner._sequence == null) owner._sequence = 1;
 
       this.state = 'open';
       this.emit('open');
@@ -142,73 +213,96 @@ Exchange.prototype._onMethod = function (channel, method, args) {
       this.state = "closed";
       this.closeOK();
       this.connection.exchangeClosed(this.name);
-      var e = new Error(args.replyText);
-      e.code = args.replyCode;
+      var e = errors.fromClose(args, true);
+      this._recoverAfter(e);
       this.emit('error', e);
       this.emit('close');
       break;
 
     case methods.channelCloseOk:
+      this._closed = true;
       this.connection.exchangeClosed(this.name);
+      this._failBuffered(new Error('Can not publish: exchange is closed'));
       this.emit('close');
       break;
 
 
     case methods.basicAck:
       this.emit('basic-ack', args);
-      var sequenceNumber = args.deliveryTag.readUInt32BE(4), tag;
-      debug && debug("basic-ack, sequence: ", sequenceNumber);
-
-      if (sequenceNumber === 0 && args.multiple === true) {
-        // we must ack everything
-        for (tag in this._unAcked) {
-          this._unAcked[tag].emit('ack');
-          delete this._unAcked[tag];
-        }
-      } else if (sequenceNumber !== 0 && args.multiple === true) {
-        // we must ack everything before the delivery tag
-        for (tag in this._unAcked) {
-          if (tag <= sequenceNumber) {
-            this._unAcked[tag].emit('ack');
-            delete this._unAcked[tag];
-          }
-        }
-      } else if (this._unAcked[sequenceNumber] && args.multiple === false) {
-        // simple single ack
-        this._unAcked[sequenceNumber].emit('ack');
-        delete this._unAcked[sequenceNumber];
-      }
-      break;
-
-    case methods.basicReturn:
-      this.emit('basic-return', args);
+      debug && debug("basic-ack, sequence: ", args.deliveryTag);
+      this._confirmed(args.deliveryTag, args.multiple, function (task) {
+        task.emit('ack');
+      });
       break;
 
-    case methods.exchangeBindOk:
-      if (this._bindCallback) {
-        // setting this._bindCallback to null before calling the callback allows for a subsequent bind within the callback
-        cb = this._bindCallback;
-        this._bindCallback = null;
-        cb(this);
-      }
+    case methods.basicNack:
+      this.emit('basic-nack', args);
+      debug && debug("basic-nack, sequence: ", args.deliveryTag);
+      this._confirmed(args.deliveryTag, args.multiple, function (task) {
+        task.emit('ack error', new Error('The broker nacked the message (sequence number ' + task.sequence + ')'));
+      });
       break;
 
-    case methods.exchangeUnbindOk:
-      if (this._unbindCallback) {
-        cb = this._unbindCallback;
-        this._unbindCallback = null;
-        cb(this);
-      }
+    case methods.basicReturn:
+      this.emit('basic-return', args);
+      // The returned message follows in content frames; see _onContentHeader.
+      this._returnedMessage = new Message(null, args);
+      this._returnedMessage.replyCode = args.replyCode;
+      this._returnedMessage.replyText = args.replyText;
       break;
 
     default:
       throw new Error("Uncaught method '" + method.name + "' with args " +
-        JSON.stringify(args));
+        util.inspect(args));
   }
 
   this._tasksFlush();
 };
 
+Exchange.prototype._onContentHeader = function (channel, classInfo, weight, properties, size) {
+  var self = this;
+  var m = this._returnedMessage;
+
+  Object.assign(m, properties);
+  m.read = 0;
+  m.size = size;
+
+  Message.collect(m, {}, function (body, headers, returnInfo) {
+    returnInfo.replyCode = m.replyCode;
+    returnInfo.replyText = m.replyText;
+    self._returned(body, headers, returnInfo, m);
+  });
+
+  if (size === 0) m.emit('end');
+};
+
+Exchange.prototype._onContent = function (channel, data) {
+  var m = this._returnedMessage;
+  m.read += data.length;
+  m.emit('data', data);
+  if (m.read == m.size) m.emit('end');
+};
+
+// Emits 'return' for a message the server couldn't route. In confirm mode
+// the publish it came from hasn't been confirmed yet (the return comes
+// first), so if it had a messageId its promise emits 'return' too.
+Exchange.prototype._returned = function (body, headers, returnInfo, m) {
+  var task = null;
+
+  if (m.messageId != null) {
+    for (var id in this._unAcked) {
+      var args = this._unAcked[id].publishArgs;
+      if (args && args.options.messageId === m.messageId) {
+        task = this._unAcked[id];
+        break;
+      }
+    }
+  }
+
+  this.emit('return', body, headers, returnInfo, m);
+  if (task) task.emit('return', body, headers, returnInfo, m);
+};
+
 // exchange.publish('routing.key', 'body');
 //
 // the third argument can specify additional options
@@ -229,22 +323,36 @@ Exchange.prototype._onMethod = function (channel, method, args) {
 // - clusterId
 //
 // the callback is optional and is only used when confirm is turned on for the exchange
+//
+// With the publishBuffer option, publishes made while the exchange isn't open
+// (e.g. during a reconnect) are held and sent in order once it is.
 
 Exchange.prototype.publish = function (routingKey, data, options, callback) {
   var self = this;
   callback = callback || function() {};
 
   if (this.connection._blocked) {
-    return callback(true, new Error('Connection is blocked, server reason: ' + this.connection._blockedReason));
+    return failedPublish(callback, new Error('Connection is blocked, server reason: ' + this.connection._blockedReason));
   }
 
   if (this.state !== 'open') {
-    this._sequence = null;
-    return callback(true, new Error('Can not publish: exchange is not open'));
+    if (!this.sharedChannel) this._sequence = null;
+    if (this._publishBuffer && this.state !== 'closing' && !this._closed) {
+      return this._bufferPublish(routingKey, data, options, callback);
+    }
+    return failedPublish(callback, new Error('Can not publish: exchange is not open'));
   }
 
+  // Wait behind the held publishes for the rest of the topology.
+  if (this._awaitingTopology && this._publishBuffer) {
+    return this._bufferPublish(routingKey, data, options, callback);
+  }
+
+  // Anything held while we were away goes out first.
+  if (this._buffered.length && !this._awaitingTopology) this._replayBuffered();
+
   if (this.options.confirm && !this._readyToPublishWithConfirms()) {
-    return callback(true, new Error('Not yet ready to publish with confirms'));
+    return failedPublish(callback, new Error('Not yet ready to publish with confirms'));
   }
 
   options = Object.assign({}, options || {});
@@ -254,8 +362,8 @@ Exchange.prototype.publish = function (routingKey, data, options, callback) {
   options.immediate  = options.immediate ? true : false;
   options.reserved1  = 0;
 
-  var task = this._taskPush(null, function () {
-    self.connection._sendMethod(self.channel, methods.basicPublish, options);
+  var task = this._taskPush(null, function (task) {
+    self._sendMethod(methods.basicPublish, options);
     // This interface is probably not appropriate for streaming large files.
     // (Of course it's arguable about whether AMQP is the appropriate
     // transport for large files.) The content header wants to know the size
@@ -264,39 +372,177 @@ Exchange.prototype.publish = function (routingKey, data, options, callback) {
     // isn't possible with AMQP. This is all to say, don't send big messages.
     // If you need to stream something large, chunk it yourself.
     self.connection._sendBody(self.channel, data, options);
+
+    // Tell the caller to wait for the connection's 'writeDrain' event when the
+    // socket can't keep up.
+    task.needsDrain = self.connection.needsDrain;
+
+    // Without confirms there is nothing more to wait for. Another exchange
+    // may have put a shared channel into confirm mode though, in which case
+    // the broker numbers this message too.
+    if (!self.options.confirm) {
+      var owner = self._sequenceOwner();
+      if (owner._sequence != null) owner._sequence++;
+      task.emitSuccess();
+    }
   });
 
-  if (self.options.confirm) self._awaitConfirm(task, callback);
+  if (self.options.confirm) {
+    // Kept for republishUnconfirmed.
+    task.publishArgs = {routingKey: routingKey, data: data, options: options};
+    self._awaitConfirm(task, callback);
+  }
   return task;
 };
 
+// Returns a Writable stream which publishes what is written to it; see
+// PublishStream.
+Exchange.prototype.createWriteStream = function (options) {
+  return new PublishStream(this, options);
+};
+
+// Returns an already rejected publish promise. The callback doubles as the
+// errback, so callers that never look at the promise don't get an
+// unhandled error thrown at them.
+function failedPublish (callback, err) {
+  var promise = new Promise();
+  promise.addErrback(function (err) {
+    callback(true, err);
+  });
+  promise.emitError(err);
+  return promise;
+}
+
+// Holds a publish until the exchange is open. The returned promise and the
+// callback settle once the replayed publish does.
+Exchange.prototype._bufferPublish = function (routingKey, data, options, callback) {
+  var limit = this._publishBuffer.limit;
+  var overflow = this._publishBuffer.overflow;
+
+  if (overflow === 'error' && this._buffered.length >= limit) {
+    return failedPublish(callback, new Error('Can not publish: exchange is not open and the publish buffer is full'));
+  }
+
+  var entry = {
+    routingKey: routingKey,
+    data: data,
+    options: options,
+    promise: new Promise()
+  };
+  if (this.options.confirm) {
+    entry.promise.addCallback(function () {
+      callback(false);
+    });
+  }
+  entry.promise.addErrback(function (err) {
+    callback(true, err);
+  });
+
+  this._buffered.push(entry);
+  if (this._buffered.length > limit) {
+    this._dropBuffered(overflow === 'drop-oldest' ? this._buffered.shift() : this._buffered.pop());
+  }
+  return entry.promise;
+};
+
+Exchange.prototype._dropBuffered = function (entry) {
+  debug && debug('publish buffer full, dropping a message for ' + entry.routingKey);
+  this.emit('publishDropped', entry.routingKey, entry.data, entry.options);
+  entry.promise.emitError(new Error('Publish dropped: the publish buffer is full'));
+};
+
+Exchange.prototype._replayBuffered = function () {
+  var buffered = this._buffered;
+  this._buffered = [];
+
+  buffered.forEach(function (entry) {
+    var task = this.publish(entry.routingKey, entry.data, entry.options);
+    task.addCallback(function () {
+      entry.promise.emitSuccess.apply(entry.promise, arguments);
+    });
+    task.addErrback(function (err) {
+      entry.promise.emitError(err);
+    });
+  }, this);
+};
+
+Exchange.prototype._failBuffered = function (err) {
+  var buffered = this._buffered;
+  this._buffered = [];
+
+  buffered.forEach(function (entry) {
+    entry.promise.emitError(err);
+  });
+};
+
+// If the connection or channel fails, we want to ack error all unacked
+// publishes, or with republishUnconfirmed keep them for when the exchange
+// comes back: after a reconnect, or a channel recovery.
+Exchange.prototype._addErrorHandlers = function () {
+  var self = this;
+  var connectionHandler = createExchangeErrorHandlerFor(this, function (err) {
+    return self.connection._reconnectsAfter(err);
+  });
+  var channelHandler = createExchangeErrorHandlerFor(this, function () {
+    return (self.sharedChannel || self)._recovering;
+  });
+
+  this.connection.on('error', connectionHandler);
+  this.on('error', channelHandler);
+  // Errors closing a shared channel are only emitted on the channel.
+  if (this.sharedChannel && this.options.confirm) {
+    this.sharedChannel.on('error', channelHandler);
+  }
+  this._addedExchangeErrorHandler = true;
+};
+
 // registers tasks for confirms
 Exchange.prototype._awaitConfirm = function _awaitConfirm (task, callback) {
-  if (!this._addedExchangeErrorHandler) {
-    // if connection fails, we want to ack error all unacked publishes.
-    this.connection.on('error', createExchangeErrorHandlerFor(this));
-    this.on('error', createExchangeErrorHandlerFor(this));
-    this._addedExchangeErrorHandler = true;
-  }
+  if (!this._addedExchangeErrorHandler) this._addErrorHandlers();
 
-  debug && debug('awaiting confirmation for ' + this._sequence);
-  task.sequence = this._sequence;
-  this._unAcked[this._sequence] = task;
-  this._sequence++;
+  var owner = this._sequenceOwner();
+  debug && debug('awaiting confirmation for ' + owner._sequence);
+  task.sequence = owner._sequence;
+  this._unAcked[owner._sequence] = task;
+  owner._sequence++;
 
-  if ('function' != typeof callback) return;
+  task.addCallback(function () {
+    callback(false);
+  });
+  task.addErrback(function (err) {
+    callback(true, err);
+  });
 
   task.once('ack error', function (err) {
-    task.removeAllListeners();
-    callback(true, err);
+    task.emitError(err);
   });
 
   task.once('ack', function () {
-    task.removeAllListeners();
-    callback(false);
+    task.emitSuccess();
   });
 };
 
+// Settles the publishes a basic.ack or basic.nack covers: the one with the
+// given sequence number, or with `multiple` every one up to it (all of
+// them for 0).
+Exchange.prototype._confirmed = function (sequenceNumber, multiple, settle) {
+  var tag, task;
+
+  if (multiple) {
+    for (tag in this._unAcked) {
+      if (sequenceNumber === 0 || tag <= sequenceNumber) {
+        task = this._unAcked[tag];
+        delete this._unAcked[tag];
+        settle(task);
+      }
+    }
+  } else if (this._unAcked[sequenceNumber]) {
+    task = this._unAcked[sequenceNumber];
+    delete this._unAcked[sequenceNumber];
+    settle(task);
+  }
+};
+
 // do any necessary cleanups eg. after queue destruction
 Exchange.prototype.cleanup = function() {
   if (this.binds === 0) { // don't keep reference open if unused
@@ -308,12 +554,14 @@ Exchange.prototype.destroy = function (ifUnused) {
   var self = this;
   return this._taskPush(methods.exchangeDeleteOk, function () {
     self.connection.exchangeClosed(self.name);
-    self.connection._sendMethod(self.channel, methods.exchangeDelete,
+    self._sendMethod(methods.exchangeDelete,
         { reserved1: 0
         , exchange: self.name
         , ifUnused: ifUnused ? true : false
         , noWait: false
         });
+  }).addCallback(function () {
+    self.connection.topology.removeExchange(self.name, true);
   });
 };
 
@@ -323,6 +571,8 @@ Exchange.prototype.destroy = function (ifUnused) {
 Exchange.prototype.unbind = function (/* exchange, routingKey [, bindCallback] */) {
   var self = this;
 
+  this.connection._requireCapability('exchange_exchange_bindings', 'Exchange-to-exchange binding');
+
   // Both arguments are required. The binding to the destination
   // exchange/routingKey will be unbound.
 
@@ -333,23 +583,21 @@ Exchange.prototype.unbind = function (/* exchange, routingKey [, bindCallback] *
 
   if (callback) this._unbindCallback = callback;
 
-  return this._taskPush(methods.exchangeUnbindOk, function () {
-    var source = exchange instanceof Exchange ? exchange.name : exchange;
-    var destination = self.name;
+  var source = exchange instanceof Exchange ? exchange.name : exchange;
 
-    if (source in self.connection.exchanges) {
-      delete self.sourceExchanges[source];
-      self.connection.exchanges[source].exchangeBinds--;
-    }
+  if (source in self.connection.exchanges) {
+    delete self.sourceExchanges[source];
+    self.connection.exchanges[source].exchangeBinds--;
+  }
 
-    self.connection._sendMethod(self.channel, methods.exchangeUnbind,
-        { reserved1: 0
-        , destination: destination
-        , source: source
-        , routingKey: routingKey
-        , noWait: false
-        , "arguments": {}
-        });
+  var promise = this._bindingMethod(methods.exchangeUnbind, source, routingKey, {});
+
+  return promise.addCallback(function () {
+    if (self._unbindCallback) {
+      var cb = self._unbindCallback;
+      self._unbindCallback = null;
+      cb(self);
+    }
   });
 };
 
@@ -359,6 +607,8 @@ Exchange.prototype.unbind = function (/* exchange, routingKey [, bindCallback] *
 Exchange.prototype.bind = function (/* exchange, routingKey [, bindCallback] */) {
   var self = this;
 
+  this.connection._requireCapability('exchange_exchange_bindings', 'Exchange-to-exchange binding');
+
   // Two arguments are required. The binding to the destination
   // exchange/routingKey will be established.
 
@@ -370,22 +620,16 @@ Exchange.prototype.bind = function (/* exchange, routingKey [, bindCallback] */)
   if (callback) this._bindCallback = callback;
 
   var source = exchange instanceof Exchange ? exchange.name : exchange;
-  var destination = self.name;
 
   if(source in self.connection.exchanges) {
     self.sourceExchanges[source] = self.connection.exchanges[source];
     self.connection.exchanges[source].exchangeBinds++;
   }
 
-  self.connection._sendMethod(self.channel, methods.exchangeBind,
-      { reserved1: 0
-      , destination: destination
-      , source: source
-      , routingKey: routingKey
-      , noWait: false
-      , "arguments": {}
-      });
-
+  return this._bindingMethod(methods.exchangeBind, source, routingKey, {})
+  .addCallback(function () {
+    self._bindOk();
+  });
 };
 
 // E2E Bind
@@ -394,6 +638,8 @@ Exchange.prototype.bind = function (/* exchange, routingKey [, bindCallback] */)
 Exchange.prototype.bind_headers = function (/* exchange, routing [, bindCallback] */) {
   var self = this;
 
+  this.connection._requireCapability('exchange_exchange_bindings', 'Exchange-to-exchange binding');
+
   // Two arguments are required. The binding to the destination
   // exchange/routingKey will be established.
 
@@ -405,27 +651,100 @@ Exchange.prototype.bind_headers = function (/* exchange, routing [, bindCallback
   if (callback) this._bindCallback = callback;
 
   var source = exchange instanceof Exchange ? exchange.name : exchange;
-  var destination = self.name;
 
   if (source in self.connection.exchanges) {
     self.sourceExchanges[source] = self.connection.exchanges[source];
     self.connection.exchanges[source].exchangeBinds++;
   }
 
-  self.connection._sendMethod(self.channel, methods.exchangeBind,
-    { reserved1: 0
-        , destination: destination
+  return this._bindingMethod(methods.exchangeBind, source, '', routing)
+  .addCallback(function () {
+    self._bindOk();
+  });
+};
+
+// Sends exchange.bind or exchange.unbind with this exchange as the
+// destination, and once the server has done it records the change in the
+// connection's topology, which binds the exchange again after a reconnect.
+Exchange.prototype._bindingMethod = function (method, source, routingKey, args) {
+  var self = this;
+  var reply = method === methods.exchangeBind ? methods.exchangeBindOk : methods.exchangeUnbindOk;
+  var binding = { type: 'exchange'
+                , source: source
+                , destination: this.name
+                , routingKey: routingKey
+                , "arguments": args
+                };
+
+  return this._taskPush(reply, function () {
+    self._sendMethod(method,
+        { reserved1: 0
+        , destination: binding.destination
         , source: source
-        , routingKey: ''
+        , routingKey: routingKey
         , noWait: false
-        , "arguments": routing
-    });
+        , "arguments": args
+        });
+  }).addCallback(function () {
+    if (method === methods.exchangeBind) {
+      self.connection.topology.addBinding(binding);
+    } else {
+      self.connection.topology.removeBinding(binding);
+    }
+  });
+};
+
+// Restores a binding from the topology.
+Exchange.prototype._rebind = function (binding) {
+  return this._bindingMethod(methods.exchangeBind, binding.source, binding.routingKey, binding["arguments"]);
+};
+
+// Checks that an exchange declared with noDeclare exists, with a passive
+// declare. The server closes the channel if it doesn't.
+Exchange.prototype._verify = function () {
+  var self = this;
+  return this._taskPush(methods.exchangeDeclareOk, function () {
+    self._sendMethod(methods.exchangeDeclare,
+        { reserved1:  0
+        , reserved2:  false
+        , reserved3:  false
+        , exchange:   self.name
+        , type:       self.options.type || 'topic'
+        , passive:    true
+        , durable:    false
+        , autoDelete: false
+        , internal:   false
+        , noWait:     false
+        , "arguments": {}
+        });
+  });
+};
+
+Exchange.prototype._bindOk = function () {
+  if (this._bindCallback) {
+    // setting this._bindCallback to null before calling the callback allows for a subsequent bind within the callback
+    var cb = this._bindCallback;
+    this._bindCallback = null;
+    cb(this);
+  }
 };
 
 Exchange.prototype._confirmSelect = function(channel) {
-  this.connection._sendMethod(channel, methods.confirmSelect, { noWait: false });
+  try {
+    this.connection._requireCapability('publisher_confirms', 'Confirm mode');
+  } catch (err) {
+    this.emit('error', err);
+    return;
+  }
+  this._sendMethod(methods.confirmSelect, { noWait: false });
 };
 
 Exchange.prototype._readyToPublishWithConfirms = function() {
-  return this._sequence != null;
+  return this._sequenceOwner()._sequence != null;
+};
+
+// Publish sequence numbers belong to the AMQP channel, which exchanges
+// declared on a shared channel have in common.
+Exchange.prototype._sequenceOwner = function () {
+  return this.sharedChannel || this;
 };
@@ -2,6 +2,7 @@
 var events = require('events'),
     util = require('util'),
     fs = require('fs'),
+    StringDecoder = require('string_decoder').StringDecoder,
     protocol,
     definitions = require('./definitions');
 
@@ -54,6 +55,7 @@ Message.prototype.acknowledge = function (all) {
       , deliveryTag: this.deliveryTag
       , multiple: all ? true : false
       });
+  this.queue._settled(this, all);
 };
 
 // Reject an incoming message.
@@ -63,5 +65,101 @@ Message.prototype.reject = function (requeue) {
       { deliveryTag: this.deliveryTag
       , requeue: requeue ? true : false
       });
+  this.queue._settled(this, false);
 };
 
+
+// Negatively acknowledge the message with basic.nack (a RabbitMQ extension).
+// Options:
+// - multiple: also nack every earlier unacknowledged message on the channel
+// - requeue: put the message(s) back on the queue (default true)
+Message.prototype.nack = function (options) {
+  options = options || {};
+  this.queue.connection._requireCapability('basic.nack', 'basic.nack');
+  this.queue.connection._sendMethod(this.queue.channel, definitions.methods.basicNack,
+      { deliveryTag: this.deliveryTag
+      , multiple: options.multiple ? true : false
+      , requeue: options.requeue === false ? false : true
+      });
+  this.queue._settled(this, options.multiple);
+};
+
+// Buffers the body of the raw message `m` and decodes it the way subscribe
+// delivers messages: JSON bodies are parsed, anything else is handed over as
+// { data: Buffer, contentType }. Calls back with (json, headers, deliveryInfo)
+// once the whole body has arrived.
+Message.collect = function (m, options, callback) {
+  var contentType = m.contentType;
+  var decoder = new StringDecoder('utf8');
+
+  if (contentType == null && m.headers && m.headers.properties) {
+    contentType = m.headers.properties.content_type;
+  }
+
+  var isJSON = contentType == 'text/json' ||
+               contentType == 'application/json';
+
+  var buffer;
+
+  if (isJSON) {
+    buffer = "";
+  } else {
+    buffer = new Buffer(m.size);
+    buffer.used = 0;
+  }
+
+  m.addListener('data', function (d) {
+    if (isJSON) {
+      buffer += decoder.write(d);
+    } else {
+      d.copy(buffer, buffer.used);
+      buffer.used += d.length;
+    }
+  });
+
+  m.addListener('end', function () {
+    var json, deliveryInfo = {}, msgProperties = definitions.classes[60].fields, i, l;
+
+    if (isJSON) {
+      decoder.end();
+      try {
+        json = JSON.parse(buffer);
+      } catch (e) {
+        json = null;
+        deliveryInfo.parseError = e;
+        deliveryInfo.rawData = buffer;
+      }
+    } else {
+      json = { data: buffer, contentType: m.contentType };
+    }
+
+    for (i = 0, l = msgProperties.length; i<l; i++) {
+      if (m[msgProperties[i].name]) {
+        deliveryInfo[msgProperties[i].name] = m[msgProperties[i].name];
+      }
+    }
+
+    deliveryInfo.queue = m.queue ? m.queue.name : null;
+    deliveryInfo.deliveryTag = m.deliveryTag;
+    deliveryInfo.redelivered = m.redelivered;
+    deliveryInfo.exchange = m.exchange;
+    deliveryInfo.routingKey = m.routingKey;
+    deliveryInfo.consumerTag = m.consumerTag;
+
+    if (options.routingKeyInPayload) json._routingKey = m.routingKey;
+    if (options.deliveryTagInPayload) json._deliveryTag = m.deliveryTag;
+
+    var headers = {};
+    for (i in m.headers) {
+      if (m.headers.hasOwnProperty(i)) {
+        if (m.headers[i] instanceof Buffer) {
+          headers[i] = m.headers[i].toString();
+        } else {
+          headers[i] = m.headers[i];
+        }
+      }
+    }
+
+    callback(json, headers, deliveryInfo);
+  });
+};
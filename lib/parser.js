@@ -6,7 +6,6 @@ var net = require('net');
 var tls = require('tls');
 var fs = require('fs');
 var debug = require('./debug');
-var jspack = require('../jspack').jspack;
 var AMQPTypes = require('./constants').AMQPTypes;
 var Indicators = require('./constants').Indicators;
 var FrameType = require('./constants').FrameType;
@@ -27,7 +26,7 @@ var MAX_FRAME_BUFFER_DEFAULT = 131072; // 128k, same as rabbitmq (which was
 // Instances of this class have several callbacks
 // - onMethod(channel, method, args);
 // - onHeartBeat()
-// - onContent(channel, buffer);
+// - onContent(channel, buffer); the buffer may be a slice of the received data
 // - onContentHeader(channel, class, weight, properties, size);
 //
 // This class does not subclass EventEmitter, in order to reduce the speed
@@ -40,88 +39,15 @@ var AMQPParser = module.exports = function AMQPParser (version, type) {
 
   if (version != '0-9-1') this.throwError("Unsupported protocol version");
 
-  var frameHeader = new Buffer(7);
-  frameHeader.used = 0;
-  var frameBuffer, frameType, frameChannel;
-
-  var self = this;
-
-  function header(data) {
-    var fh = frameHeader;
-    var needed = fh.length - fh.used;
-    data.copy(fh, fh.used, 0, data.length);
-    fh.used += data.length; // sloppy
-    if (fh.used >= fh.length) {
-      fh.read = 0;
-      frameType = fh[fh.read++];
-      frameChannel = parseInt(fh, 2);
-      var frameSize = parseInt(fh, 4);
-      fh.used = 0; // for reuse
-      if (frameSize > self.maxFrameBuffer) {
-        self.throwError("Oversized frame " + frameSize);
-      }
-      frameBuffer = new Buffer(frameSize);
-      frameBuffer.used = 0;
-      return frame(data.slice(needed));
-    }
-    else { // need more!
-      return header;
-    }
-  }
-
-  function frame(data) {
-    var fb = frameBuffer;
-    var needed = fb.length - fb.used;
-    var sourceEnd = (fb.length > data.length) ? data.length : fb.length;
-    data.copy(fb, fb.used, 0, sourceEnd);
-    fb.used += data.length;
-    if (data.length > needed) {
-      return frameEnd(data.slice(needed));
-    }
-    else if (data.length == needed) {
-      return frameEnd;
-    }
-    else {
-      return frame;
-    }
-  }
-
-  function frameEnd(data) {
-    if (data.length > 0) {
-      if (data[0] === Indicators.FRAME_END) {
-        switch (frameType) {
-        case FrameType.METHOD:
-          self._parseMethodFrame(frameChannel, frameBuffer);
-          break;
-        case FrameType.HEADER:
-          self._parseHeaderFrame(frameChannel, frameBuffer);
-          break;
-        case FrameType.BODY:
-          if (self.onContent) {
-            self.onContent(frameChannel, frameBuffer);
-          }
-          break;
-        case FrameType.HEARTBEAT:
-          debug && debug("heartbeat");
-          if (self.onHeartBeat) self.onHeartBeat();
-          break;
-        default:
-          self.throwError("Unhandled frame type " + frameType);
-          break;
-        }
-        return header(data.slice(1));
-      }
-      else {
-        self.throwError("Missing frame end marker");
-      }
-    }
-    else {
-      return frameEnd;
-    }
-  }
-
-  self.parse = header;
-}
+  // Frames that arrive in one piece are parsed straight out of the chunk
+  // they came in. Only a frame split across chunks is copied together, in
+  // these: the frame header, then the frame payload.
+  this._header = Buffer.alloc(7);
+  this._headerUsed = 0;
+  this._frame = null;
+  this._frameType = null;
+  this._frameChannel = null;
+};
 
 // If there's an error in the parser, call the onError handler or throw
 AMQPParser.prototype.throwError = function (error) {
@@ -135,7 +61,118 @@ AMQPParser.prototype.execute = function (data) {
   // This function only deals with dismantling and buffering the frames.
   // It delegates to other functions for parsing the frame-body.
   debug && debug('execute: ' + data.toString('hex'));
-  this.parse = this.parse(data);
+
+  var pos = 0, length = data.length;
+
+  while (pos < length) {
+    // Finish a frame left over from the previous chunk first.
+    if (this._headerUsed > 0 || this._frame) {
+      pos = this._resume(data, pos);
+      if (pos < 0) return;
+      continue;
+    }
+
+    if (length - pos < 7) {
+      data.copy(this._header, 0, pos, length);
+      this._headerUsed = length - pos;
+      return;
+    }
+
+    var size = this._startFrame(data, pos);
+    if (size < 0) return;
+
+    var end = pos + 7 + size;
+    if (end < length) {
+      // The whole frame, end marker included, is in this chunk.
+      if (!this._endFrame(data[end], data.slice(pos + 7, end))) return;
+      pos = end + 1;
+    } else {
+      this._frame = Buffer.allocUnsafe(size);
+      this._frame.used = 0;
+      pos = this._resume(data, pos + 7);
+      if (pos < 0) return;
+    }
+  }
+};
+
+// Continues the frame that is being copied together from `data`, starting
+// at `pos`. Returns where the next frame starts, or -1 after an error.
+AMQPParser.prototype._resume = function (data, pos) {
+  var count;
+
+  if (!this._frame) {
+    count = Math.min(7 - this._headerUsed, data.length - pos);
+    data.copy(this._header, this._headerUsed, pos, pos + count);
+    this._headerUsed += count;
+    pos += count;
+    if (this._headerUsed < 7) return pos;
+
+    this._headerUsed = 0;
+    var size = this._startFrame(this._header, 0);
+    if (size < 0) return -1;
+    this._frame = Buffer.allocUnsafe(size);
+    this._frame.used = 0;
+  }
+
+  var frame = this._frame;
+  count = Math.min(frame.length - frame.used, data.length - pos);
+  data.copy(frame, frame.used, pos, pos + count);
+  frame.used += count;
+  pos += count;
+
+  // Either more payload or the end marker is still to come.
+  if (frame.used < frame.length || pos >= data.length) return pos;
+
+  this._frame = null;
+  if (!this._endFrame(data[pos], frame)) return -1;
+  return pos + 1;
+};
+
+// Reads the frame header at `pos`. Returns the payload size, or -1 if the
+// frame is too large.
+AMQPParser.prototype._startFrame = function (data, pos) {
+  this._frameType = data[pos];
+  this._frameChannel = data.readUInt16BE(pos + 1);
+
+  var size = data.readUInt32BE(pos + 3);
+  if (size > this.maxFrameBuffer) {
+    this.throwError("Oversized frame " + size);
+    return -1;
+  }
+  return size;
+};
+
+// Dispatches a complete frame. Returns false if it wasn't terminated
+// properly.
+AMQPParser.prototype._endFrame = function (marker, payload) {
+  var channel = this._frameChannel;
+
+  if (marker !== Indicators.FRAME_END) {
+    this.throwError("Missing frame end marker");
+    return false;
+  }
+
+  switch (this._frameType) {
+  case FrameType.METHOD:
+    this._parseMethodFrame(channel, payload);
+    break;
+  case FrameType.HEADER:
+    this._parseHeaderFrame(channel, payload);
+    break;
+  case FrameType.BODY:
+    if (this.onContent) {
+      this.onContent(channel, payload);
+    }
+    break;
+  case FrameType.HEARTBEAT:
+    debug && debug("heartbeat");
+    if (this.onHeartBeat) this.onHeartBeat();
+    break;
+  default:
+    this.throwError("Unhandled frame type " + this._frameType);
+    return false;
+  }
+  return true;
 };
 
 /**
@@ -149,8 +186,10 @@ AMQPParser.prototype.setMaxFrameBuffer = function(maxFrameBuffer) {
   this.maxFrameBuffer = maxFrameBuffer;
 };
 
-// parse Network Byte Order integers. size can be 1,2,4,8
+// parse unsigned Network Byte Order integers. size can be 1,2,4,8
 function parseInt (buffer, size) {
+  var value;
+
   switch (size) {
     case 1:
       return buffer[buffer.read++];
@@ -159,20 +198,58 @@ function parseInt (buffer, size) {
       return (buffer[buffer.read++] << 8) + buffer[buffer.read++];
 
     case 4:
-      return (buffer[buffer.read++] << 24) + (buffer[buffer.read++] << 16) +
-             (buffer[buffer.read++] << 8)  + buffer[buffer.read++];
+      value = buffer.readUInt32BE(buffer.read);
+      buffer.read += 4;
+      return value;
 
     case 8:
-      return (buffer[buffer.read++] << 56) + (buffer[buffer.read++] << 48) +
-             (buffer[buffer.read++] << 40) + (buffer[buffer.read++] << 32) +
-             (buffer[buffer.read++] << 24) + (buffer[buffer.read++] << 16) +
-             (buffer[buffer.read++] << 8)  + buffer[buffer.read++];
+      value = buffer.readBigUInt64BE(buffer.read);
+      buffer.read += 8;
+      return toSafeNumber(value);
 
     default:
       throw new Error("cannot parse ints of that size");
   }
 }
 
+// parse two's complement Network Byte Order integers. size can be 1,2,4,8
+function parseSigned (buffer, size) {
+  var value;
+
+  switch (size) {
+    case 1:
+      value = buffer.readInt8(buffer.read);
+      break;
+
+    case 2:
+      value = buffer.readInt16BE(buffer.read);
+      break;
+
+    case 4:
+      value = buffer.readInt32BE(buffer.read);
+      break;
+
+    case 8:
+      value = toSafeNumber(buffer.readBigInt64BE(buffer.read));
+      break;
+
+    default:
+      throw new Error("cannot parse ints of that size");
+  }
+
+  buffer.read += size;
+  return value;
+}
+
+// 64-bit values come back as Numbers when that loses nothing, and as
+// BigInts when it would.
+function toSafeNumber (value) {
+  if (value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)) {
+    return Number(value);
+  }
+  return value;
+}
+
 
 function parseShortString (buffer) {
   var length = buffer[buffer.read++];
@@ -190,55 +267,58 @@ function parseLongString (buffer) {
 }
 
 
-function parseSignedInteger (buffer) {
-  var int = parseInt(buffer, 4);
-  if (int & 0x80000000) {
-    int |= 0xEFFFFFFF;
-    int = -int;
-  }
-  return int;
-}
-
 function parseValue (buffer) {
   switch (buffer[buffer.read++]) {
     case AMQPTypes.STRING:
       return parseLongString(buffer);
 
     case AMQPTypes.INTEGER:
+      return parseSigned(buffer, 4);
+
+    case AMQPTypes.UNSIGNED_32BIT:
       return parseInt(buffer, 4);
 
+    // A scale octet and an unsigned long: value / 10^scale.
     case AMQPTypes.DECIMAL:
-      var dec = parseInt(buffer, 1);
+      var scale = parseInt(buffer, 1);
       var num = parseInt(buffer, 4);
-      return num / (dec * 10);
+      return num / Math.pow(10, scale);
 
     case AMQPTypes._64BIT_FLOAT:
-      var b = [];
-      for (var i = 0; i < 8; ++i)
-        b[i] = buffer[buffer.read++];
-
-      return (new jspack(true)).Unpack('d', b);
+      var double = buffer.readDoubleBE(buffer.read);
+      buffer.read += 8;
+      return double;
 
     case AMQPTypes._32BIT_FLOAT:
-      var b = [];
-      for (var i = 0; i < 4; ++i)
-        b[i] = buffer[buffer.read++];
-
-      return (new jspack(true)).Unpack('f', b);
+      var float = buffer.readFloatBE(buffer.read);
+      buffer.read += 4;
+      return float;
 
     case AMQPTypes.TIME:
       var int = parseInt(buffer, 8);
-      return (new Date()).setTime(int * 1000);
+      return (new Date()).setTime(Number(int) * 1000);
 
     case AMQPTypes.HASH:
       return parseTable(buffer);
 
     case AMQPTypes.SIGNED_64BIT:
+      return parseSigned(buffer, 8);
+
+    case AMQPTypes.UNSIGNED_64BIT:
       return parseInt(buffer, 8);
 
     case AMQPTypes.SIGNED_8BIT:
+      return parseSigned(buffer, 1);
+
+    case AMQPTypes.UNSIGNED_8BIT:
       return parseInt(buffer, 1);
 
+    case AMQPTypes.SIGNED_16BIT:
+      return parseSigned(buffer, 2);
+
+    case AMQPTypes.UNSIGNED_16BIT:
+      return parseInt(buffer, 2);
+
     case AMQPTypes.BOOLEAN:
       return (parseInt(buffer, 1) > 0);
 
@@ -317,19 +397,15 @@ function parseFields (buffer, fields) {
         value = parseInt(buffer, 4);
         break;
 
-      // In a previous version this shared code with 'longlong', which caused problems when passed Date 
-      // integers. Nobody expects to pass a Buffer here, 53 bits is still 28 million years after 1970, we'll be fine.
+      // Seconds since the epoch.
       case 'timestamp':
         value = parseInt(buffer, 8);
         break;
 
-      // JS doesn't support 64-bit Numbers, so we expect if you're using 'longlong' that you've
-      // used a Buffer instead
+      // A Number, or a BigInt past 2^53 (e.g. delivery tags on long-lived
+      // channels).
       case 'longlong':
-        value = new Buffer(8);
-        for (var j = 0; j < 8; j++) {
-          value[j] = buffer[buffer.read++];
-        }
+        value = parseInt(buffer, 8);
         break;
 
       case 'shortstr':
@@ -1,5 +1,6 @@
 var events = require('events');
 var inherits = require('util').inherits;
+var inspect = require('util').inspect;
 
 exports.Promise = function () {
   events.EventEmitter.call(this);
@@ -63,7 +64,7 @@ exports.Promise.prototype.emitError = function() {
       if (self.listeners('error').length == 0) {
         throw (self._values[0] instanceof Error)
           ? self._values[0]
-          : new Error('Unhandled emitError: '+JSON.stringify(self._values));
+          : new Error('Unhandled emitError: '+inspect(self._values));
       }
     });
   }
@@ -84,3 +85,27 @@ exports.Promise.prototype.addErrback = function (listener) {
 
   return this.addListener("error", listener);
 };
+
+// Makes the promise a standard thenable, so it can be awaited or chained
+// with native promises. It is fulfilled with the (first) value passed to
+// emitSuccess.
+exports.Promise.prototype.then = function (onFulfilled, onRejected) {
+  var self = this;
+
+  if (!this._native) {
+    this._native = new Promise(function (resolve, reject) {
+      self.addCallback(function (value) {
+        resolve(value);
+      });
+      self.addErrback(function (err) {
+        reject(err);
+      });
+    });
+  }
+
+  return this._native.then(onFulfilled, onRejected);
+};
+
+exports.Promise.prototype.catch = function (onRejected) {
+  return this.then(undefined, onRejected);
+};
@@ -0,0 +1,96 @@
+'use strict';
+var util = require('util');
+var Writable = require('stream').Writable;
+
+// Returned by exchange.createWriteStream(). A Writable stream in object mode
+// which publishes every chunk written to it as a message. Options:
+// - routingKey: the routing key of every message (default '')
+// - routingKeyFn: function (chunk) returning the routing key instead
+// - publishOptions: the options passed to exchange.publish()
+// - confirm: whether a write is only done once the server has confirmed the
+//   message, default true on an exchange in confirm mode
+// - highWaterMark: how many messages may be outstanding, written but not
+//   confirmed, before write() returns false (default 16)
+//
+// A write is also held until the connection's socket has drained, so both
+// a slow network and a server slow to confirm push back on the writer.
+var PublishStream = module.exports = function PublishStream (exchange, options) {
+  options = options || {};
+
+  var confirm = options.confirm === undefined ? !!exchange.options.confirm : !!options.confirm;
+  if (confirm && !exchange.options.confirm) {
+    throw new Error('A write stream with confirm needs an exchange in confirm mode');
+  }
+  if (options.routingKeyFn !== undefined && typeof options.routingKeyFn !== 'function') {
+    throw new Error('routingKeyFn must be a function');
+  }
+
+  Writable.call(this, { objectMode: true, highWaterMark: options.highWaterMark || 16 });
+
+  this.exchange = exchange;
+  this._routingKey = options.routingKey || '';
+  this._routingKeyFn = options.routingKeyFn || null;
+  this._publishOptions = options.publishOptions || {};
+  this._confirm = confirm;
+};
+util.inherits(PublishStream, Writable);
+
+PublishStream.prototype._write = function (chunk, encoding, callback) {
+  this._writev([{ chunk: chunk }], callback);
+};
+
+// While a batch is outstanding the stream collects further writes, which
+// then go out together; so messages are published without waiting for the
+// confirms of the previous ones.
+PublishStream.prototype._writev = function (chunks, callback) {
+  var self = this;
+  var exchange = this.exchange;
+  var opened = exchange.state === 'open' ? global.Promise.resolve() : exchange.ready();
+
+  opened.then(function () {
+    return global.Promise.all(chunks.map(function (entry) {
+      return self._publish(entry.chunk);
+    }));
+  }).then(function () {
+    return self._drained();
+  }).then(function () {
+    callback();
+  }, function (err) {
+    callback(err);
+  });
+};
+
+PublishStream.prototype._publish = function (chunk) {
+  var routingKey = this._routingKeyFn ? this._routingKeyFn(chunk) : this._routingKey;
+  var promise = this.exchange.publish(routingKey, chunk, this._publishOptions);
+
+  // Without confirms there is nothing to wait for, even on an exchange in
+  // confirm mode; the write is done once the socket has drained.
+  if (this._confirm || !this.exchange.options.confirm) return promise;
+  promise.addErrback(function () {});
+  return null;
+};
+
+// Waits for the connection's socket to drain, unless the exchange or the
+// connection goes away first.
+PublishStream.prototype._drained = function () {
+  var exchange = this.exchange;
+  var connection = exchange.connection;
+  if (!connection.needsDrain) return null;
+
+  return new global.Promise(function (resolve, reject) {
+    var stop = exchange._onLost(function (err) {
+      connection.removeListener('writeDrain', onDrain);
+      reject(err);
+    });
+    function onDrain () {
+      stop();
+      // The connection releases us when its socket closes, too.
+      if (connection.socket.destroyed && !connection._reconnects()) {
+        return reject(new Error('The connection was closed'));
+      }
+      resolve();
+    }
+    connection.once('writeDrain', onDrain);
+  });
+};
@@ -1,14 +1,15 @@
 'use strict';
 var util = require('util');
 var fs = require('fs');
-var StringDecoder = require('string_decoder').StringDecoder;
+var Promise = require('./promise').Promise;
 var Channel = require('./channel');
 var Exchange = require('./exchange');
 var Message = require('./message');
+var Consumer = require('./consumer');
 var debug = require('./debug');
+var errors = require('./errors');
 var definitions = require('./definitions');
 var methods = definitions.methods;
-var classes = definitions.classes;
 
 const defaults = (...args) =>
   args.reverse().reduce((acc, obj) => ({ ...acc, ...obj }), {});
@@ -18,13 +19,17 @@ var Queue = module.exports = function Queue (connection, channel, name, options,
 
   var self = this;
   this.name = name;
-  this._bindings = {};
   this.consumerTagListeners = {};
   this.consumerTagOptions = {};
+  this._getRequests = [];
+  // Messages received in ack mode that have not been settled yet.
+  this._unacked = [];
 
   // route messages to subscribers based on consumerTag
   this.on('rawMessage', function(message) {
     if (message.consumerTag && self.consumerTagListeners[message.consumerTag]) {
+      var options = self.consumerTagOptions[message.consumerTag];
+      if (options && !options.noAck) self._unacked.push(message);
       self.consumerTagListeners[message.consumerTag](message);
     }
   });
@@ -32,10 +37,19 @@ var Queue = module.exports = function Queue (connection, channel, name, options,
   this.options = { autoDelete: true, closeChannelOnUnsubscribe: false };
   Object.assign(this.options, options || {});
 
+  // Reopened on its own, see Channel#_recoverAfter.
+  this.on('recovered', function () {
+    self.connection.topology.replay(self);
+  });
+
   this._openCallback = callback;
 };
 util.inherits(Queue, Channel);
 
+function isServerNamed (name) {
+  return name === '' || name.indexOf('amq.') === 0;
+}
+
 Queue.prototype.subscribeRaw = function (options, messageListener, oldConsumerTag) {
   var self = this;
 
@@ -46,6 +60,15 @@ Queue.prototype.subscribeRaw = function (options, messageListener, oldConsumerTa
     options = {};
   }
 
+  options = options || {};
+
+  // Check the limit before anything is set up for the consumer; throws, as
+  // qos() does.
+  var qos = null;
+  if (options.prefetchCount != null) {
+    qos = Channel.qosArgs({ prefetchCount: options.prefetchCount });
+  }
+
   var consumerTag;
   if (options.consumerTag !== undefined) {
     consumerTag = options.consumerTag + '-' + Math.random();
@@ -54,16 +77,16 @@ Queue.prototype.subscribeRaw = function (options, messageListener, oldConsumerTa
   }
   this.consumerTagListeners[consumerTag] = messageListener;
 
-  options = options || {};
   options['state'] = 'opening';
   this.consumerTagOptions[consumerTag] = options;
-  if (options.prefetchCount !== undefined) {
-    self.connection._sendMethod(self.channel, methods.basicQos,
-        { reserved1: 0
-        , prefetchSize: 0
-        , prefetchCount: options.prefetchCount
-        , global: false
-        });
+
+  if (qos) {
+    // On a resubscribe, reopening the channel has applied the limit
+    // already, unless it has changed since.
+    var current = (this.sharedChannel || this)._qos.consumer;
+    var reapplied = oldConsumerTag && current &&
+        current.prefetchCount === qos.prefetchCount && current.prefetchSize === 0;
+    if (!reapplied) self.qos({ prefetchCount: options.prefetchCount });
   }
 
   // If this is a reconnection, we should probably tell folks their tag has changed
@@ -73,7 +96,7 @@ Queue.prototype.subscribeRaw = function (options, messageListener, oldConsumerTa
   }
 
   return this._taskPush(methods.basicConsumeOk, function () {
-    self.connection._sendMethod(self.channel, methods.basicConsume,
+    self._sendMethod(methods.basicConsume,
         { reserved1: 0
         , queue: self.name
         , consumerTag: consumerTag
@@ -81,7 +104,7 @@ Queue.prototype.subscribeRaw = function (options, messageListener, oldConsumerTa
         , noAck: !!options.noAck
         , exclusive: !!options.exclusive
         , noWait: false
-        , "arguments": {}
+        , "arguments": options.consumerArguments || {}
         });
     self.consumerTagOptions[consumerTag]['state'] = 'open';
   });
@@ -90,10 +113,10 @@ Queue.prototype.subscribeRaw = function (options, messageListener, oldConsumerTa
 Queue.prototype.unsubscribe = function(consumerTag) {
   var self = this;
   return this._taskPush(methods.basicCancelOk, function () {
-    self.connection._sendMethod(self.channel, methods.basicCancel,
-                                { reserved1: 0,
-                                  consumerTag: consumerTag,
-                                  noWait: false });
+    self._sendMethod(methods.basicCancel,
+                     { reserved1: 0,
+                       consumerTag: consumerTag,
+                       noWait: false });
   })
   .addCallback(function () {
     if (self.options.closeChannelOnUnsubscribe) {
@@ -104,6 +127,24 @@ Queue.prototype.unsubscribe = function(consumerTag) {
   });
 };
 
+// Cancels the running consumers, for a queue leaving a shared channel that
+// stays open, and calls back once the server has answered every cancel.
+Queue.prototype._cancelConsumers = function (callback) {
+  var self = this;
+  var tags = Object.keys(this.consumerTagOptions).filter(function (tag) {
+    return self.consumerTagOptions[tag]['state'] === 'open';
+  });
+  var pending = tags.length;
+  if (this.state !== 'open' || !pending) return callback();
+
+  function done () {
+    if (--pending === 0) callback();
+  }
+  tags.forEach(function (tag) {
+    self.unsubscribe(tag).addCallback(done).addErrback(done);
+  });
+};
+
 Queue.prototype.subscribe = function (options, messageListener) {
   var self = this;
 
@@ -113,9 +154,12 @@ Queue.prototype.subscribe = function (options, messageListener) {
     options = {};
   }
 
+  // Don't override limits set with qos().
+  var qosSet = Object.keys((this.sharedChannel || this)._qos).length > 0;
+
   options = defaults(options || {}, {
     ack: false,
-    prefetchCount: 1,
+    prefetchCount: qosSet ? null : 1,
     routingKeyInPayload: self.connection.options.routingKeyInPayload,
     deliveryTagInPayload: self.connection.options.deliveryTagInPayload
   });
@@ -134,80 +178,14 @@ Queue.prototype.subscribe = function (options, messageListener) {
     rawOptions['consumerTag'] = options.consumerTag;
   }
 
-  return this.subscribeRaw(rawOptions, function (m) {
-    var contentType = m.contentType;
-    var decoder = new StringDecoder('utf8');
-
-    if (contentType == null && m.headers && m.headers.properties) {
-      contentType = m.headers.properties.content_type;
-    }
-
-    var isJSON = contentType == 'text/json' ||
-                 contentType == 'application/json';
-
-    var buffer;
-
-    if (isJSON) {
-      buffer = "";
-    } else {
-      buffer = new Buffer(m.size);
-      buffer.used = 0;
-    }
+  if (options.consumerArguments) {
+    rawOptions['consumerArguments'] = options.consumerArguments;
+  }
 
+  return this.subscribeRaw(rawOptions, function (m) {
     self._lastMessage = m;
 
-    m.addListener('data', function (d) {
-      if (isJSON) {
-        buffer += decoder.write(d);
-      } else {
-        d.copy(buffer, buffer.used);
-        buffer.used += d.length;
-      }
-    });
-
-    m.addListener('end', function () {
-      var json, deliveryInfo = {}, msgProperties = classes[60].fields, i, l;
-
-      if (isJSON) {
-        decoder.end();
-        try {
-          json = JSON.parse(buffer);
-        } catch (e) {
-          json = null;
-          deliveryInfo.parseError = e;
-          deliveryInfo.rawData = buffer;
-        }
-      } else {
-        json = { data: buffer, contentType: m.contentType };
-      }
-
-      for (i = 0, l = msgProperties.length; i<l; i++) {
-        if (m[msgProperties[i].name]) {
-          deliveryInfo[msgProperties[i].name] = m[msgProperties[i].name];
-        }
-      }
-
-      deliveryInfo.queue = m.queue ? m.queue.name : null;
-      deliveryInfo.deliveryTag = m.deliveryTag;
-      deliveryInfo.redelivered = m.redelivered;
-      deliveryInfo.exchange = m.exchange;
-      deliveryInfo.routingKey = m.routingKey;
-      deliveryInfo.consumerTag = m.consumerTag;
-
-      if (options.routingKeyInPayload) json._routingKey = m.routingKey;
-      if (options.deliveryTagInPayload) json._deliveryTag = m.deliveryTag;
-
-      var headers = {};
-      for (i in this.headers) {
-        if (this.headers.hasOwnProperty(i)) {
-          if (this.headers[i] instanceof Buffer) {
-            headers[i] = this.headers[i].toString();
-          } else {
-            headers[i] = this.headers[i];
-          }
-        }
-      }
-
+    Message.collect(m, options, function (json, headers, deliveryInfo) {
       if (messageListener) messageListener(json, headers, deliveryInfo, m);
       self.emit('message', json, headers, deliveryInfo, m);
     });
@@ -215,6 +193,35 @@ Queue.prototype.subscribe = function (options, messageListener) {
 };
 Queue.prototype.subscribeJSON = Queue.prototype.subscribe;
 
+// Subscribes and returns the messages as a Readable stream, which is also an
+// async iterator; see Consumer. Options are those of subscribe(), except
+// `ack`, plus `manualAck`. prefetchCount defaults to 16.
+Queue.prototype.consume = function (options) {
+  return new Consumer(this, options);
+};
+
+// Called by Message once it has been acked, rejected or nacked; `multiple`
+// settles every message received on the channel before it as well, which
+// on a shared channel includes those of the other queues on it. Emits
+// 'settled', which connection.close() waits for.
+Queue.prototype._settled = function (message, multiple) {
+  var index = this._unacked.indexOf(message);
+  if (index === -1) return;
+
+  if (!multiple) {
+    this._unacked.splice(index, 1);
+  } else {
+    var queues = this.sharedChannel ? this.sharedChannel._handles : [this];
+    queues.forEach(function (queue) {
+      if (!queue._unacked) return;
+      queue._unacked = queue._unacked.filter(function (other) {
+        return other.deliveryTag > message.deliveryTag;
+      });
+    });
+  }
+  this.emit('settled', message);
+};
+
 /* Acknowledges the last message */
 Queue.prototype.shift = function (reject, requeue) {
   if (this._lastMessage) {
@@ -227,6 +234,52 @@ Queue.prototype.shift = function (reject, requeue) {
   }
 };
 
+/* Nacks the last message, see Message.nack for the options */
+Queue.prototype.nack = function (options) {
+  if (this._lastMessage) {
+    this._lastMessage.nack(options);
+    this._lastMessage = null;
+  }
+};
+
+// Fetches a single message with basic.get, for callers that want to pull
+// messages on demand instead of running a consumer. The callback receives an
+// error, or null followed by the same arguments as a subscribe listener,
+// with a null message when the queue is empty. The returned promise is
+// fulfilled with the Message, its decoded body as `body`, or null.
+Queue.prototype.get = function (options, callback) {
+  var self = this;
+
+  // Optional options
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+
+  options = defaults(options || {}, {
+    ack: false,
+    routingKeyInPayload: self.connection.options.routingKeyInPayload,
+    deliveryTagInPayload: self.connection.options.deliveryTagInPayload
+  });
+
+  var request = { promise: new Promise(), options: options, callback: callback };
+
+  this._taskPush(null, function () {
+    // Replies arrive in the order the requests went out, so the next
+    // basicGetOk or basicGetEmpty belongs to the oldest request.
+    self._getRequests.push(request);
+    self._sendMethod(methods.basicGet,
+        { reserved1: 0
+        , queue: self.name
+        , noAck: !options.ack
+        });
+  }).addErrback(function (err) {
+    // Never sent; see _failGets for those that were.
+    failGet(request, err);
+  });
+
+  return request.promise;
+};
 
 Queue.prototype.bind = function (exchange, routingKey, callback) {
   var self = this;
@@ -249,31 +302,19 @@ Queue.prototype.bind = function (exchange, routingKey, callback) {
     this.exchange.binds++;
   }
 
-  // Record this binding so we can restore it upon reconnect.
-  if (!this._bindings[exchangeName]) {
-    this._bindings[exchangeName] = {};
-  }
-
-  if (!this._bindings[exchangeName][routingKey]) {
-    this._bindings[exchangeName][routingKey] = 0;
-  }
-
-  this._bindings[exchangeName][routingKey]++;
-
-  self.connection._sendMethod(self.channel, methods.queueBind,
-      { reserved1: 0
-      , queue: self.name
-      , exchange: exchangeName
-      , routingKey: routingKey
-      , noWait: false
-      , "arguments": {}
-      });
-
+  return this._bindingMethod(methods.queueBind, exchangeName, routingKey, {})
+  .addCallback(function () {
+    if (self._bindCallback) {
+      // setting this._bindCallback to null before calling the callback allows for a subsequent bind within the callback
+      // FIXME use eventemitter
+      var cb = self._bindCallback;
+      self._bindCallback = null;
+      cb(self);
+    }
+  });
 };
 
 Queue.prototype.unbind = function (exchange, routingKey) {
-  var self = this;
-
   // The first argument, exchange is optional.
   // If not supplied the connection will use the default 'amq.topic'
   // exchange.
@@ -284,34 +325,10 @@ Queue.prototype.unbind = function (exchange, routingKey) {
 
   var exchangeName = exchange instanceof Exchange ? exchange.name : exchange;
 
-  if(this._bindings[exchangeName]) {
-    // Decrement binding count.
-    this._bindings[exchangeName][routingKey]--;
-    if (!this._bindings[exchangeName][routingKey]) {
-      delete this._bindings[exchangeName][routingKey];
-    }
-
-    // If there are no more bindings to this exchange, delete the key for the exchange.
-    if (!Object.keys(this._bindings[exchangeName]).length){
-      delete this._bindings[exchangeName];
-    }
-  }
-
-  return this._taskPush(methods.queueUnbindOk, function () {
-    self.connection._sendMethod(self.channel, methods.queueUnbind,
-        { reserved1: 0
-        , queue: self.name
-        , exchange: exchangeName
-        , routingKey: routingKey
-        , noWait: false
-        , "arguments": {}
-        });
-  });
+  return this._bindingMethod(methods.queueUnbind, exchangeName, routingKey, {});
 };
 
 Queue.prototype.bind_headers = function (/* [exchange,] matchingPairs */) {
-  var self = this;
-
   // The first argument, exchange is optional.
   // If not supplied the connection will use the default 'amq.headers'
   // exchange.
@@ -326,23 +343,11 @@ Queue.prototype.bind_headers = function (/* [exchange,] matchingPairs */) {
     matchingPairs = arguments[0];
   }
 
-
-  return this._taskPush(methods.queueBindOk, function () {
-    var exchangeName = exchange instanceof Exchange ? exchange.name : exchange;
-    self.connection._sendMethod(self.channel, methods.queueBind,
-        { reserved1: 0
-        , queue: self.name
-        , exchange: exchangeName
-        , routingKey: ''
-        , noWait: false
-        , "arguments": matchingPairs
-        });
-  });
+  var exchangeName = exchange instanceof Exchange ? exchange.name : exchange;
+  return this._bindingMethod(methods.queueBind, exchangeName, '', matchingPairs);
 };
 
 Queue.prototype.unbind_headers = function (/* [exchange,] matchingPairs */) {
-  var self = this;
-
   // The first argument, exchange is optional.
   // If not supplied the connection will use the default 'amq.topic'
   // exchange.
@@ -357,19 +362,48 @@ Queue.prototype.unbind_headers = function (/* [exchange,] matchingPairs */) {
     matchingPairs = arguments[0];
   }
 
-  return this._taskPush(methods.queueUnbindOk, function () {
-    var exchangeName = exchange instanceof Exchange ? exchange.name : exchange;
-    self.connection._sendMethod(self.channel, methods.queueUnbind,
+  var exchangeName = exchange instanceof Exchange ? exchange.name : exchange;
+  return this._bindingMethod(methods.queueUnbind, exchangeName, '', matchingPairs);
+};
+
+// Sends queue.bind or queue.unbind, and once the server has done it records
+// the change in the connection's topology, which binds the queue again
+// after a reconnect.
+Queue.prototype._bindingMethod = function (method, exchangeName, routingKey, args) {
+  var self = this;
+  var reply = method === methods.queueBind ? methods.queueBindOk : methods.queueUnbindOk;
+  var binding;
+
+  return this._taskPush(reply, function () {
+    // A server-named queue only has its name once it is declared.
+    binding = { type: 'queue'
+              , source: exchangeName
+              , destination: self.name
+              , routingKey: routingKey
+              , "arguments": args
+              };
+    self._sendMethod(method,
         { reserved1: 0
         , queue: self.name
         , exchange: exchangeName
-        , routingKey: ''
+        , routingKey: routingKey
         , noWait: false
-        , "arguments": matchingPairs
+        , "arguments": args
         });
+  }).addCallback(function () {
+    if (method === methods.queueBind) {
+      self.connection.topology.addBinding(binding);
+    } else {
+      self.connection.topology.removeBinding(binding);
+    }
   });
 };
 
+// Restores a binding from the topology.
+Queue.prototype._rebind = function (binding) {
+  return this._bindingMethod(methods.queueBind, binding.source, binding.routingKey, binding["arguments"]);
+};
+
 Queue.prototype.destroy = function (options) {
   var self = this;
 
@@ -379,7 +413,7 @@ Queue.prototype.destroy = function (options) {
     if ('exchange' in self) {
       self.exchange.binds--;
     }
-    self.connection._sendMethod(self.channel, methods.queueDelete,
+    self._sendMethod(methods.queueDelete,
         { reserved1: 0
         , queue: self.name
         , ifUnused: options.ifUnused ? true : false
@@ -387,20 +421,30 @@ Queue.prototype.destroy = function (options) {
         , noWait: false
         , "arguments": {}
     });
+  }).addCallback(function () {
+    self.connection.topology.removeQueue(self.name);
   });
 };
 
 Queue.prototype.purge = function() {
   var self = this;
   return this._taskPush(methods.queuePurgeOk, function () {
-    self.connection._sendMethod(self.channel, methods.queuePurge,
-                                 { reserved1 : 0,
-                                 queue: self.name,
-                                 noWait: false});
+    self._sendMethod(methods.queuePurge,
+                     { reserved1 : 0,
+                     queue: self.name,
+                     noWait: false});
   });
 };
 
 
+// The queue.declare arguments: the arguments option, plus those for the
+// options that stand for one.
+Queue.prototype._declareArguments = function () {
+  var args = Object.assign({}, this.options.arguments);
+  if (this.options.singleActiveConsumer) args['x-single-active-consumer'] = true;
+  return args;
+};
+
 Queue.prototype._onMethod = function (channel, method, args) {
   var self = this;
   this.emit(method.name, args);
@@ -408,8 +452,12 @@ Queue.prototype._onMethod = function (channel, method, args) {
 
   switch (method) {
     case methods.channelOpenOk:
+      // Deliveries from before can't be acknowledged on a new channel.
+      this._unacked = [];
+
       if (this.options.noDeclare) {
         this.state = 'open';
+        this.connection.topology.addQueue(this, false);
 
         if (this._openCallback) {
          this._openCallback(this);
@@ -418,37 +466,31 @@ Queue.prototype._onMethod = function (channel, method, args) {
 
         this.emit('open');
       } else {
-        if (this.name.indexOf('amq.') == 0) {
-          this.name = '';
-        }
-        this.connection._sendMethod(channel, methods.queueDeclare,
+        // A server-named queue gets a new name; see queueDeclareOk.
+        this._sendMethod(methods.queueDeclare,
             { reserved1: 0
-            , queue: this.name
+            , queue: isServerNamed(this.name) ? '' : this.name
             , passive: !!this.options.passive
             , durable: !!this.options.durable
             , exclusive: !!this.options.exclusive
             , autoDelete: !!this.options.autoDelete
             , noWait: false
-            , "arguments": this.options.arguments || {}
+            , "arguments": this._declareArguments()
             });
         this.state = "declare queue";
       }
       break;
 
     case methods.queueDeclareOk:
+      var previousName = this.name;
       this.state = 'open';
       this.name = args.queue;
-      this.connection.queues[this.name] = this;
-
-      // Rebind to previously bound exchanges, if present.
-      // Important this is called *before* openCallback, otherwise bindings will happen twice.
-      // Run test-purge to make sure you got this right
-      for (const exchangeName in this._bindings) {
-        const exchange = this._bindings[exchangeName];
-        for (const routingKey in exchange) {
-          self.bind(exchangeName, routingKey);
-        }
+      if (previousName !== this.name) {
+        if (this.connection.queues[previousName] === this) delete this.connection.queues[previousName];
+        if (previousName) this.connection.topology.renameQueue(previousName, this.name);
       }
+      this.connection.queues[this.name] = this;
+      this.connection.topology.addQueue(this, isServerNamed(previousName));
 
       // Call opening callback (passed in function)
       // FIXME use eventemitter - maybe we call a namespaced event here
@@ -479,13 +521,6 @@ Queue.prototype._onMethod = function (channel, method, args) {
       break;
 
     case methods.queueBindOk:
-      if (this._bindCallback) {
-        // setting this._bindCallback to null before calling the callback allows for a subsequent bind within the callback
-        // FIXME use eventemitter
-        var cb = this._bindCallback;
-        this._bindCallback = null;
-        cb(this);
-      }
       break;
 
     case methods.queueUnbindOk:
@@ -503,14 +538,21 @@ Queue.prototype._onMethod = function (channel, method, args) {
       this.state = "closed";
       this.closeOK();
       this.connection.queueClosed(this.name);
-      var e = new Error(args.replyText);
-      e.code = args.replyCode;
+      var e = errors.fromClose(args, true);
+      this._failGets(e);
+      if (this._recoverAfter(e)) {
+        // Resubscribe once the queue is declared again.
+        for (var tag in this.consumerTagOptions) {
+          this.consumerTagOptions[tag]['state'] = 'closed';
+        }
+      }
       this.emit('error', e);
       this.emit('close');
       break;
 
     case methods.channelCloseOk:
       this.connection.queueClosed(this.name);
+      this._failGets(new Error('Channel closed'));
       this.emit('close');
       break;
 
@@ -518,16 +560,37 @@ Queue.prototype._onMethod = function (channel, method, args) {
       this.currentMessage = new Message(this, args);
       break;
 
+    case methods.basicGetOk:
+      // The body follows in content frames; see _onContentHeader.
+      this.currentMessage = new Message(this, args);
+      this.currentMessage.messageCount = args.messageCount;
+      this._currentGet = this._getRequests.shift();
+      break;
+
+    case methods.basicGetEmpty:
+      var request = this._getRequests.shift();
+      if (request) {
+        if (request.callback) request.callback(null, null, {}, { queue: this.name, messageCount: 0 }, null);
+        request.promise.emitSuccess(null);
+      }
+      break;
+
     case methods.queueDeleteOk:
       break;
 
     case methods.basicCancel:
+      if (this.sharedChannel) {
+        // Only that consumer is gone; the queue stays on the shared channel.
+        delete this.consumerTagListeners[args.consumerTag];
+        delete this.consumerTagOptions[args.consumerTag];
+        break;
+      }
       this.close("Closed due to basicCancel received on consumer (" + args.consumerTag + ")");
       break;
 
     default:
       throw new Error("Uncaught method '" + method.name + "' with args " +
-          JSON.stringify(args) + "; tasks = " + JSON.stringify(this._tasks));
+          util.inspect(args) + "; tasks = " + util.inspect(this._tasks));
   }
 
   this._tasksFlush();
@@ -539,6 +602,11 @@ Queue.prototype._onContentHeader = function (channel, classInfo, weight, propert
   this.currentMessage.read = 0;
   this.currentMessage.size = size;
 
+  if (this._currentGet) {
+    this._receiveGet(this._currentGet, this.currentMessage);
+    this._currentGet = null;
+  }
+
   this.emit('rawMessage', this.currentMessage);
   if (size === 0) {
     // If the message has no body, directly emit 'end'
@@ -546,6 +614,40 @@ Queue.prototype._onContentHeader = function (channel, classInfo, weight, propert
   }
 };
 
+Queue.prototype._receiveGet = function (request, m) {
+  var self = this;
+
+  if (request.options.ack) {
+    this._lastMessage = m;
+    this._unacked.push(m);
+  }
+
+  Message.collect(m, request.options, function (json, headers, deliveryInfo) {
+    deliveryInfo.messageCount = m.messageCount;
+    m.body = json;
+    if (request.callback) request.callback(null, json, headers, deliveryInfo, m);
+    request.promise.emitSuccess(m);
+  });
+};
+
+// basic.get requests still waiting when the channel goes away are never
+// answered; the replies on a reopened channel are for new ones.
+Queue.prototype._failGets = function (err) {
+  var requests = this._getRequests.splice(0);
+  if (this._currentGet) requests.unshift(this._currentGet);
+  this._currentGet = null;
+  requests.forEach(function (request) {
+    failGet(request, err);
+  });
+};
+
+function failGet (request, err) {
+  if (request.callback) request.callback(err);
+  // The callback has been told, or the queue has emitted the error.
+  if (!request.promise.listeners('error').length) request.promise.addErrback(function () {});
+  request.promise.emitError(err);
+}
+
 Queue.prototype._onContent = function (channel, data) {
   this.currentMessage.read += data.length;
   this.currentMessage.emit('data', data);
@@ -557,6 +659,6 @@ Queue.prototype._onContent = function (channel, data) {
 Queue.prototype.flow = function(active) {
   var self = this;
   return this._taskPush(methods.channelFlowOk, function () {
-    self.connection._sendMethod(self.channel, methods.channelFlow, {'active': active });
+    self._sendMethod(methods.channelFlow, {'active': active });
   });
 };
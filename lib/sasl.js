@@ -0,0 +1,127 @@
+'use strict';
+var crypto = require('crypto');
+
+// SASL mechanisms by name. A mechanism is a function which is given the
+// connection options and returns an object with
+// - response: the initial response, sent with connection.start-ok
+// - challenge(data): optional, returns the response to a connection.secure
+//   challenge from the server. Throwing fails the connection.
+// - verified(): optional, whether the server has proven who it is. Checked
+//   once the server moves on to connection.tune; false fails the connection.
+var mechanisms = exports.mechanisms = {};
+
+// Adds a mechanism, or replaces the built-in one of the same name.
+exports.register = function (name, mechanism) {
+  mechanisms[name] = mechanism;
+};
+
+// Returns the first of the `preferred` mechanisms that is both registered
+// and offered by the server, or null. `offered` is the space separated list
+// the server sends in connection.start.
+exports.choose = function (preferred, offered) {
+  var available = String(offered || '').split(' ');
+  preferred = [].concat(preferred);
+
+  for (var i = 0; i < preferred.length; i++) {
+    if (mechanisms[preferred[i]] && available.indexOf(preferred[i]) !== -1) {
+      return preferred[i];
+    }
+  }
+  return null;
+};
+
+exports.register('AMQPLAIN', function (options) {
+  return {
+    response: {
+      LOGIN: options.login,
+      PASSWORD: options.password
+    }
+  };
+});
+
+exports.register('PLAIN', function (options) {
+  return { response: "\0" + options.login + "\0" + options.password };
+});
+
+exports.register('EXTERNAL', function () {
+  return { response: "\0" };
+});
+
+exports.register('ANONYMOUS', function () {
+  return { response: "\0" };
+});
+
+// RFC 5802 / RFC 7677. The server proves that it knows the password too, so
+// neither side sends it over the wire.
+exports.register('SCRAM-SHA-256', function (options) {
+  var clientNonce = crypto.randomBytes(18).toString('base64');
+  var clientFirstBare = 'n=' + saslName(options.login) + ',r=' + clientNonce;
+  var serverSignature = null;
+  var verified = false;
+
+  return {
+    response: 'n,,' + clientFirstBare,
+    // A server that skips its final message hasn't proven anything.
+    verified: function () {
+      return verified;
+    },
+    challenge: function (data) {
+      var attributes = parseAttributes(data);
+
+      if (attributes.e) {
+        throw new Error('SCRAM-SHA-256 authentication failed: ' + attributes.e);
+      }
+
+      // Second round: the server's final message, carrying its signature.
+      if (serverSignature) {
+        if (attributes.v !== serverSignature) {
+          throw new Error('SCRAM-SHA-256 server signature does not match');
+        }
+        verified = true;
+        return '';
+      }
+
+      var nonce = attributes.r;
+      var iterations = parseInt(attributes.i, 10);
+      if (!nonce || nonce.indexOf(clientNonce) !== 0 || !attributes.s || !(iterations > 0)) {
+        throw new Error('SCRAM-SHA-256 invalid server challenge');
+      }
+
+      var saltedPassword = crypto.pbkdf2Sync(String(options.password).normalize('NFKC'),
+                                             Buffer.from(attributes.s, 'base64'),
+                                             iterations, 32, 'sha256');
+      var clientKey = hmac(saltedPassword, 'Client Key');
+      var storedKey = crypto.createHash('sha256').update(clientKey).digest();
+      var clientFinal = 'c=biws,r=' + nonce;
+      var authMessage = clientFirstBare + ',' + data + ',' + clientFinal;
+      var clientSignature = hmac(storedKey, authMessage);
+
+      var proof = Buffer.alloc(clientKey.length);
+      for (var i = 0; i < proof.length; i++) {
+        proof[i] = clientKey[i] ^ clientSignature[i];
+      }
+
+      serverSignature = hmac(hmac(saltedPassword, 'Server Key'), authMessage).toString('base64');
+      return clientFinal + ',p=' + proof.toString('base64');
+    }
+  };
+});
+
+function hmac (key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// ',' and '=' are the only characters that need escaping in a user name.
+function saslName (name) {
+  return String(name).replace(/=/g, '=3D').replace(/,/g, '=2C');
+}
+
+// 'r=abc,s=ZGVm,i=4096' -> { r: 'abc', s: 'ZGVm', i: '4096' }
+function parseAttributes (data) {
+  var attributes = {};
+  String(data).split(',').forEach(function (pair) {
+    var index = pair.indexOf('=');
+    if (index > 0) attributes[pair.slice(0, index)] = pair.slice(index + 1);
+  });
+  return attributes;
+}
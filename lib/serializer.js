@@ -1,6 +1,8 @@
 'use strict';
 
 var jspack = require('../jspack').jspack;
+var AMQPTypes = require('./constants').AMQPTypes;
+var TypedValue = require('./types').TypedValue;
 
 var serializer = module.exports = {
   serializeFloat: function(b, size, value, bigEndian) {
@@ -52,16 +54,16 @@ var serializer = module.exports = {
         break;
 
 
-      // long long
+      // long long; a Number, or a BigInt for values past 2^53. Negative
+      // values are written in two's complement.
       case 8:
-        b[b.used++] = (int & 0xFF00000000000000) >> 56;
-        b[b.used++] = (int & 0x00FF000000000000) >> 48;
-        b[b.used++] = (int & 0x0000FF0000000000) >> 40;
-        b[b.used++] = (int & 0x000000FF00000000) >> 32;
-        b[b.used++] = (int & 0x00000000FF000000) >> 24;
-        b[b.used++] = (int & 0x0000000000FF0000) >> 16;
-        b[b.used++] = (int & 0x000000000000FF00) >> 8;
-        b[b.used++] = (int & 0x00000000000000FF) >> 0;
+        var big = typeof(int) == 'bigint' ? int : BigInt(Math.trunc(int));
+        if (big < 0) {
+          b.writeBigInt64BE(big, b.used);
+        } else {
+          b.writeBigUInt64BE(big, b.used);
+        }
+        b.used += 8;
         break;
 
       default:
@@ -94,19 +96,15 @@ var serializer = module.exports = {
       serializer.serializeInt(b, 4, byteLength);
       b.write(string, b.used, 'utf8');
       b.used += byteLength;
-    } else if (typeof(string) == 'object') {
-      serializer.serializeTable(b, string);
+    } else if (Buffer.isBuffer(string)) {
+      serializer.serializeBuffer(b, string);
     } else {
-      // data is Buffer
-      var byteLength = string.length;
-      serializer.serializeInt(b, 4, byteLength);
-      b.write(string, b.used); // memcpy
-      b.used += byteLength;
+      serializer.serializeTable(b, string);
     }
   },
 
   serializeDate: function(b, date) {
-    serializer.serializeInt(b, 8, date.valueOf() / 1000);
+    serializer.serializeInt(b, 8, Math.floor(date.valueOf() / 1000));
   },
 
   serializeBuffer: function(b, buffer) {
@@ -119,8 +117,9 @@ var serializer = module.exports = {
     serializer.serializeLongString(b, buffer.toString('base64'));
   },
 
+  // Too big for 'I', which is signed.
   isBigInt: function(value) {
-    return value > 0xffffffff;
+    return value > 0x7fffffff || value < -0x80000000;
   },
 
   getCode: function(dec) {
@@ -131,7 +130,7 @@ var serializer = module.exports = {
   },
 
   isFloat: function(value){
-    return value === +value && value !== (value|0);
+    return value === +value && !Number.isInteger(value);
   },
 
   serializeValue: function(b, value) {
@@ -144,11 +143,11 @@ var serializer = module.exports = {
       case 'number':
         if (!serializer.isFloat(value)) {
           if (serializer.isBigInt(value)) {
-            // 64-bit uint
+            // 64-bit int
             b[b.used++] = 'l'.charCodeAt(0);
             serializer.serializeInt(b, 8, value);
           } else {
-            //32-bit uint
+            // 32-bit int
             b[b.used++] = 'I'.charCodeAt(0);
             serializer.serializeInt(b, 4, value);
           }
@@ -159,13 +158,22 @@ var serializer = module.exports = {
         }
         break;
 
+      case 'bigint':
+        b[b.used++] = 'l'.charCodeAt(0);
+        serializer.serializeInt(b, 8, value);
+        break;
+
       case 'boolean':
         b[b.used++] = 't'.charCodeAt(0);
         b[b.used++] = value;
         break;
 
       default:
-        if (value instanceof Date) {
+        if (value instanceof TypedValue) {
+          serializer.serializeTypedValue(b, value);
+        } else if (value === null) {
+          b[b.used++] = 'V'.charCodeAt(0);
+        } else if (value instanceof Date) {
           b[b.used++] = 'T'.charCodeAt(0);
           serializer.serializeDate(b, value);
         } else if (value instanceof Buffer) {
@@ -183,6 +191,75 @@ var serializer = module.exports = {
     }
   },
 
+  // Values wrapped by one of the lib/types functions, written as exactly
+  // the type asked for.
+  serializeTypedValue: function(b, typed) {
+    var value = typed.value;
+
+    if (b.used + 9 > b.length) {
+      throw new Error("write out of bounds");
+    }
+
+    b[b.used++] = typed.type;
+
+    switch (typed.type) {
+      case AMQPTypes.SIGNED_8BIT:
+        b.writeInt8(value, b.used);
+        b.used += 1;
+        break;
+
+      case AMQPTypes.UNSIGNED_8BIT:
+        serializer.serializeInt(b, 1, value);
+        break;
+
+      case AMQPTypes.SIGNED_16BIT:
+        b.writeInt16BE(value, b.used);
+        b.used += 2;
+        break;
+
+      case AMQPTypes.UNSIGNED_16BIT:
+        serializer.serializeInt(b, 2, value);
+        break;
+
+      case AMQPTypes.INTEGER:
+      case AMQPTypes.UNSIGNED_32BIT:
+        serializer.serializeInt(b, 4, value);
+        break;
+
+      case AMQPTypes.SIGNED_64BIT:
+        serializer.serializeInt(b, 8, value);
+        break;
+
+      // Only in the 0-9-1 errata; RabbitMQ closes the connection with a
+      // frame error.
+      case AMQPTypes.UNSIGNED_64BIT:
+        throw new Error("unsupported type in amqp table: unsigned 64-bit ('L') is not accepted by RabbitMQ, use int64");
+
+      case AMQPTypes._32BIT_FLOAT:
+        serializer.serializeFloat(b, 4, value);
+        break;
+
+      case AMQPTypes._64BIT_FLOAT:
+        serializer.serializeFloat(b, 8, value);
+        break;
+
+      case AMQPTypes.DECIMAL:
+        serializer.serializeInt(b, 1, value.scale);
+        serializer.serializeInt(b, 4, value.value);
+        break;
+
+      case AMQPTypes.TIME:
+        serializer.serializeDate(b, value);
+        break;
+
+      case AMQPTypes.VOID:
+        break;
+
+      default:
+        throw new Error("unsupported type in amqp table: " + String.fromCharCode(typed.type));
+    }
+  },
+
   serializeTable: function(b, object) {
     if (typeof(object) != "object") {
       throw new Error("param must be an object");
@@ -280,15 +357,25 @@ var serializer = module.exports = {
           serializer.serializeInt(buffer, 4, param);
           break;
 
-        // In a previous version this shared code with 'longlong', which caused problems when passed Date
-        // integers. Nobody expects to pass a Buffer here, 53 bits is still 28 million years after 1970, we'll be fine.
+        // Seconds since the epoch, or a Date.
         case 'timestamp':
-          serializer.serializeInt(buffer, 8, param);
+          if (param instanceof Date) {
+            serializer.serializeDate(buffer, param);
+          } else {
+            serializer.serializeInt(buffer, 8, param);
+          }
           break;
 
+        // A Number, a BigInt, or the 8 raw bytes in a Buffer.
         case 'longlong':
-          for (var j = 0; j < 8; j++) {
-            buffer[buffer.used++] = param[j];
+          if (Buffer.isBuffer(param)) {
+            for (var j = 0; j < 8; j++) {
+              buffer[buffer.used++] = param[j];
+            }
+          } else if (typeof(param) == 'number' || typeof(param) == 'bigint') {
+            serializer.serializeInt(buffer, 8, param);
+          } else {
+            throw new Error("Unmatched field " + JSON.stringify(field));
           }
           break;
 
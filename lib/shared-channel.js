@@ -0,0 +1,243 @@
+'use strict';
+var util = require('util');
+var Channel = require('./channel');
+var Exchange = require('./exchange');
+var Queue = require('./queue');
+var debug = require('./debug');
+var errors = require('./errors');
+var methods = require('./definitions').methods;
+
+// Returned by connection.createChannel(). Where connection.queue() and
+// connection.exchange() open an AMQP channel each, a SharedChannel carries
+// any number of queues and exchanges declared through it. Incoming methods
+// and content arrive here and are routed to the queue or exchange they
+// belong to.
+var SharedChannel = module.exports = function SharedChannel (connection, channel) {
+  this._handles = [];
+  this._replies = [];
+  this._contentHandle = null;
+  this._sequence = null;
+
+  Channel.call(this, connection, channel);
+};
+util.inherits(SharedChannel, Channel);
+
+// Same arguments as connection.queue().
+SharedChannel.prototype.queue = function (name /* options, openCallback */) {
+  var options, callback;
+  if (typeof arguments[1] == 'object') {
+    options = arguments[1];
+    callback = arguments[2];
+  } else {
+    callback = arguments[1];
+  }
+
+  return this._attach(new Queue(this.connection, this, name, options, callback));
+};
+
+// Same arguments as connection.exchange().
+SharedChannel.prototype.exchange = function (name, options, openCallback) {
+  if (name === undefined) name = this.connection.implOptions.defaultExchangeName;
+
+  if (!options) options = {};
+  if (name !== '' && options.type === undefined) options.type = 'topic';
+
+  var exchange = new Exchange(this.connection, this, name, options, openCallback);
+  this.connection.exchanges[name] = exchange;
+  return this._attach(exchange);
+};
+
+SharedChannel.prototype.reconnect = function () {
+  // Nothing owed to us on the old channel is coming any more.
+  this._replies = [];
+  this._contentHandle = null;
+  Channel.prototype.reconnect.call(this);
+};
+
+SharedChannel.prototype._sendMethod = function (method, args) {
+  this._expectReply(this, method);
+  Channel.prototype._sendMethod.call(this, method, args);
+};
+
+SharedChannel.prototype._attach = function (handle) {
+  var self = this;
+  this._handles.push(handle);
+
+  // Queues and exchanges declare themselves when the channel opens. If it
+  // already has, replay the open for the newcomer once the caller had a
+  // chance to add listeners.
+  if (this.state === 'open') {
+    process.nextTick(function () {
+      if (self.state === 'open' && self._handles.indexOf(handle) !== -1) {
+        handle._onChannelMethod(self.channel, methods.channelOpenOk, {reserved1: ''});
+      }
+    });
+  }
+  return handle;
+};
+
+SharedChannel.prototype._detach = function (handle) {
+  var index = this._handles.indexOf(handle);
+  if (index !== -1) this._handles.splice(index, 1);
+};
+
+// The broker answers synchronous methods in the order they were sent, so
+// a queue of who asked for what is enough to route the replies.
+SharedChannel.prototype._expectReply = function (handle, method) {
+  var replies;
+
+  // Opening and closing concern the channel as a whole; see _onMethod.
+  if (method === methods.channelOpen || method === methods.channelClose) return;
+
+  if (method === methods.basicGet) {
+    replies = [methods.basicGetOk, methods.basicGetEmpty];
+  } else if (methods[method.name + 'Ok']) {
+    replies = [methods[method.name + 'Ok']];
+  } else {
+    return;
+  }
+
+  this._replies.push({ handle: handle, replies: replies });
+};
+
+SharedChannel.prototype._replyHandle = function (method) {
+  for (var i = 0; i < this._replies.length; i++) {
+    if (this._replies[i].replies.indexOf(method) !== -1) {
+      return this._replies.splice(i, 1)[0].handle;
+    }
+  }
+  return this;
+};
+
+SharedChannel.prototype._findHandle = function (test) {
+  for (var i = 0; i < this._handles.length; i++) {
+    if (test(this._handles[i])) return this._handles[i];
+  }
+  return null;
+};
+
+SharedChannel.prototype._broadcast = function (channel, method, args, test) {
+  // Copy, handles may close themselves in response.
+  this._handles.slice().forEach(function (handle) {
+    if (!test || test(handle)) handle._onChannelMethod(channel, method, args);
+  });
+};
+
+function isExchange (handle) {
+  return handle instanceof Exchange;
+}
+
+// Like a reconnect does, but for one queue or exchange whose channel will be
+// reopened: what it was waiting for fails, its consumers are resubscribed
+// once it is declared again, and it emits 'recovered' when open.
+function suspendHandle (handle, err, attempt) {
+  handle.state = 'closed';
+  handle._failTasks(err, false);
+  handle._recovering = true;
+  handle._recoveryAttempt = attempt;
+  if (handle instanceof Queue) {
+    for (var tag in handle.consumerTagOptions) {
+      handle.consumerTagOptions[tag]['state'] = 'closed';
+    }
+    handle._failGets(err);
+  }
+}
+
+SharedChannel.prototype._onMethod = function (channel, method, args) {
+  var handle;
+  this.emit(method.name, args);
+
+  switch (method) {
+    case methods.channelOpenOk:
+      this.state = 'open';
+      this._sequence = null;
+      this._broadcast(channel, method, args);
+      this.emit('open');
+      break;
+
+    case methods.channelClose:
+      this.state = 'closed';
+      this.closeOK();
+      this._replies = [];
+      // The error is reported once, on the channel. Its queues and exchanges
+      // wait to be declared again if it is reopened, else they are closed.
+      var e = errors.fromClose(args, true);
+      if (this._recoverAfter(e)) {
+        var attempt = this._recoveryAttempt;
+        this._handles.forEach(function (handle) {
+          suspendHandle(handle, e, attempt);
+        });
+      } else {
+        this._handles.forEach(function (handle) {
+          handle._failTasks(e, true);
+        });
+        this._broadcast(channel, methods.channelCloseOk, {});
+      }
+      this.emit('error', e);
+      this.emit('close');
+      break;
+
+    case methods.channelCloseOk:
+      this._replies = [];
+      this._broadcast(channel, method, args);
+      this.emit('close');
+      break;
+
+    case methods.basicDeliver:
+    case methods.basicCancel:
+      handle = this._findHandle(function (handle) {
+        return handle.consumerTagListeners &&
+               handle.consumerTagListeners[args.consumerTag];
+      });
+      break;
+
+    case methods.basicReturn:
+      handle = this._findHandle(function (handle) {
+        return isExchange(handle) && handle.name === args.exchange;
+      });
+      break;
+
+    case methods.basicAck:
+    case methods.basicNack:
+      this._broadcast(channel, method, args, isExchange);
+      break;
+
+    default:
+      handle = this._replyHandle(method);
+      if (handle === this) {
+        if (!this._handleTaskReply(channel, method, args)) {
+          throw new Error("Uncaught method '" + method.name + "' with args " +
+              util.inspect(args));
+        }
+        return;
+      }
+      // A reply to a queue or exchange that has been closed since.
+      if (this._handles.indexOf(handle) === -1) handle = null;
+  }
+
+  // Content frames follow these methods; send them the same way.
+  if (method === methods.basicDeliver || method === methods.basicGetOk ||
+      method === methods.basicReturn) {
+    this._contentHandle = handle;
+  }
+
+  if (handle) {
+    handle._onChannelMethod(channel, method, args);
+  } else if (handle === null) {
+    debug && debug('Dropping ' + method.name + ' on channel ' + channel);
+  }
+
+  this._tasksFlush();
+};
+
+SharedChannel.prototype._onContentHeader = function (channel, classInfo, weight, properties, size) {
+  var handle = this._contentHandle;
+  if (handle && handle._onContentHeader) {
+    handle._onContentHeader(channel, classInfo, weight, properties, size);
+  }
+};
+
+SharedChannel.prototype._onContent = function (channel, data) {
+  var handle = this._contentHandle;
+  if (handle && handle._onContent) handle._onContent(channel, data);
+};
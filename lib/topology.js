@@ -0,0 +1,304 @@
+'use strict';
+var util = require('util');
+var debug = require('./debug');
+var Queue = require('./queue');
+
+// What has been declared over a connection: its exchanges and queues, and
+// the bindings between them, each with its arguments. Queues and exchanges
+// declare themselves again when their channels reopen; the bindings are
+// replayed from here, see recover() and replay().
+//
+// A binding is
+//   { type: 'queue' or 'exchange' (what the destination is)
+//   , source: exchange name
+//   , destination: queue or exchange name
+//   , routingKey: ''
+//   , arguments: {}
+//   }
+var Topology = module.exports = function Topology (connection) {
+  this.connection = connection;
+  this.exchanges = {};
+  this.queues = {};
+  this.bindings = [];
+  this._recovery = 0;
+};
+
+function bindingKey (binding) {
+  return [
+    binding.type,
+    binding.source,
+    binding.destination,
+    binding.routingKey,
+    util.inspect(binding["arguments"] || {}, { depth: null, sorted: true })
+  ].join('\u0000');
+}
+
+function isPredeclared (name) {
+  return name === '' || name.indexOf('amq.') === 0;
+}
+
+Topology.prototype.addExchange = function (exchange) {
+  if (exchange.name === '') return;
+  this.exchanges[exchange.name] = {
+    name: exchange.name,
+    type: exchange.options.type,
+    options: exchange.options
+  };
+};
+
+// An exchange that was only closed still routes; deleting it takes its
+// bindings with it.
+Topology.prototype.removeExchange = function (name, deleted) {
+  delete this.exchanges[name];
+  this.bindings = this.bindings.filter(function (binding) {
+    if (binding.type === 'exchange' && binding.destination === name) return false;
+    return !(deleted && binding.source === name);
+  });
+};
+
+Topology.prototype.addQueue = function (queue, serverNamed) {
+  this.queues[queue.name] = {
+    name: queue.name,
+    serverNamed: !!serverNamed,
+    options: queue.options
+  };
+};
+
+Topology.prototype.removeQueue = function (name) {
+  delete this.queues[name];
+  this.bindings = this.bindings.filter(function (binding) {
+    return !(binding.type === 'queue' && binding.destination === name);
+  });
+};
+
+// A server-named queue gets a new name each time it is declared.
+Topology.prototype.renameQueue = function (from, to) {
+  if (this.queues[from]) {
+    this.queues[to] = this.queues[from];
+    this.queues[to].name = to;
+    delete this.queues[from];
+  }
+  this.bindings.forEach(function (binding) {
+    if (binding.type === 'queue' && binding.destination === from) binding.destination = to;
+  });
+};
+
+Topology.prototype.addBinding = function (binding) {
+  var key = bindingKey(binding);
+  for (var i = 0; i < this.bindings.length; i++) {
+    if (bindingKey(this.bindings[i]) === key) return;
+  }
+  this.bindings.push(binding);
+};
+
+Topology.prototype.removeBinding = function (binding) {
+  var key = bindingKey(binding);
+  this.bindings = this.bindings.filter(function (other) {
+    return bindingKey(other) !== key;
+  });
+};
+
+// A queue or exchange closed on purpose isn't reopened after a reconnect,
+// so neither are its bindings. Closing a shared channel closes everything
+// on it.
+Topology.prototype.forget = function (channel) {
+  var self = this;
+  if (channel._handles) {
+    channel._handles.forEach(function (handle) { self.forget(handle); });
+  } else if (channel instanceof Queue) {
+    this.removeQueue(channel.name);
+  } else if (channel.name !== undefined) {
+    this.removeExchange(channel.name, false);
+  }
+};
+
+// The bindings a queue or exchange is the destination of.
+Topology.prototype.bindingsOf = function (entity) {
+  var type = entity instanceof Queue ? 'queue' : 'exchange';
+  return this.bindings.filter(function (binding) {
+    return binding.type === type && binding.destination === entity.name;
+  });
+};
+
+// Binds a queue or exchange whose channel was reopened on its own (see
+// Channel#_recoverAfter) again.
+Topology.prototype.replay = function (entity) {
+  this.bindingsOf(entity).forEach(function (binding) {
+    entity._rebind(binding);
+  });
+};
+
+// Reopens the connection's channels after a reconnect, in dependency order:
+// the exchanges are declared first (and those declared with noDeclare are
+// checked to exist), then the queues, and once all of them are back the
+// exchange-to-exchange and queue bindings. Consumers are resubscribed as
+// their queues are declared. The connection emits 'topologyRecovered' with
+// a report when done:
+//   { exchanges: [names], queues: [names]
+//   , renamedQueues: { old name: new name }  (server-named queues)
+//   , bindings: [bindings]
+//   , failures: [{ kind: 'exchange', 'queue' or 'binding', name or binding, error }]
+//   }
+// Whatever failed also emitted 'error' as usual.
+Topology.prototype.recover = function () {
+  var self = this;
+  var connection = this.connection;
+  var recovery = ++this._recovery;
+  var report = { exchanges: [], queues: [], renamedQueues: {}, bindings: [], failures: [] };
+  var firstChannels = [], queueChannels = [];
+  var exchanges = [], queues = [];
+
+  Object.keys(connection.channels).forEach(function (id) {
+    if (id === '0') return;
+    var channel = connection.channels[id];
+    // A shared channel can't wait for its queues, so it opens with the
+    // exchanges.
+    (channel instanceof Queue ? queueChannels : firstChannels).push(channel);
+    (channel._handles ? channel._handles : [channel]).forEach(function (entity) {
+      (entity instanceof Queue ? queues : exchanges).push(entity);
+    });
+  });
+
+  if (!firstChannels.length && !queueChannels.length) return;
+
+  // Publishes held by the exchanges wait for the bindings.
+  exchanges.forEach(function (exchange) {
+    exchange._awaitingTopology = true;
+  });
+
+  function current () {
+    return recovery === self._recovery;
+  }
+
+  function opened (entities) {
+    return global.Promise.all(entities.map(function (entity) {
+      return settled(entity, function (done) {
+        entity.once('open', function () { done(); });
+      });
+    }));
+  }
+
+  function answered (entity, request) {
+    return settled(entity, function (done) {
+      request().addCallback(function () { done(); }).addErrback(done);
+    });
+  }
+
+  function bind (type) {
+    var bindings = self.bindings.filter(function (binding) { return binding.type === type; });
+
+    return global.Promise.all(bindings.map(function (binding) {
+      var entity = type === 'queue'
+          ? connection.queues[binding.destination]
+          : connection.exchanges[binding.destination];
+      if (!entity || entity.state !== 'open') {
+        return new Error("No open " + type + " '" + binding.destination + "' to bind");
+      }
+      return answered(entity, function () {
+        return entity._rebind(binding);
+      });
+    })).then(function (results) {
+      results.forEach(function (err, i) {
+        if (err) {
+          report.failures.push({ kind: 'binding', binding: bindings[i], error: err });
+        } else {
+          report.bindings.push(bindings[i]);
+        }
+      });
+    });
+  }
+
+  function record (kind, entities, results, list) {
+    results.forEach(function (err, i) {
+      if (err) {
+        report.failures.push({ kind: kind, name: entities[i].name, error: err });
+      } else {
+        list.push(entities[i].name);
+      }
+    });
+  }
+
+  // Listen before anything is reopened; queues on a shared channel open in
+  // the first step already.
+  var exchangesOpened = opened(exchanges);
+  var queuesOpened = opened(queues);
+  var previousNames = queues.map(function (queue) { return queue.name; });
+
+  firstChannels.forEach(function (channel) { channel.reconnect(); });
+
+  exchangesOpened.then(function (results) {
+    if (!current()) return;
+    // Nothing declared these, check that they still exist.
+    var unchecked = exchanges.filter(function (exchange, i) {
+      return !results[i] && exchange.options.noDeclare && !isPredeclared(exchange.name);
+    });
+    return global.Promise.all(unchecked.map(function (exchange) {
+      return answered(exchange, function () {
+        return exchange._verify();
+      });
+    })).then(function (checks) {
+      results = results.map(function (err, i) {
+        var index = unchecked.indexOf(exchanges[i]);
+        return index === -1 ? err : checks[index];
+      });
+      record('exchange', exchanges, results, report.exchanges);
+    });
+  }).then(function () {
+    if (!current()) return;
+    queueChannels.forEach(function (channel) { channel.reconnect(); });
+    return queuesOpened.then(function (results) {
+      record('queue', queues, results, report.queues);
+      queues.forEach(function (queue, i) {
+        if (!results[i] && previousNames[i] && previousNames[i] !== queue.name) {
+          report.renamedQueues[previousNames[i]] = queue.name;
+        }
+      });
+    });
+  }).then(function () {
+    if (current()) return bind('exchange');
+  }).then(function () {
+    if (current()) return bind('queue');
+  }).then(function () {
+    if (!current()) return;
+    debug && debug('Topology recovered', util.inspect(report, { depth: 3 }));
+    exchanges.forEach(function (exchange) {
+      exchange._awaitingTopology = false;
+    });
+    connection.emit('topologyRecovered', report);
+  });
+};
+
+// Resolves with null once `wait` calls back without an error, or with the
+// error that closed the entity's channel first. An error that doesn't close
+// the channel, such as confirm mode the server lacks, fails it as well. The
+// error is only listened for where someone else does already, so that
+// nothing which used to throw is swallowed here.
+function settled (entity, wait) {
+  var emitters = entity.sharedChannel ? [entity, entity.sharedChannel] : [entity];
+  var closeError = null;
+
+  return new global.Promise(function (resolve) {
+    function onError (err) {
+      closeError = err;
+      // A closed channel emits 'close' straight after.
+      process.nextTick(function () {
+        finish(err);
+      });
+    }
+    function onClose () {
+      finish(closeError || new Error('The channel was closed'));
+    }
+    function finish (err) {
+      emitters.forEach(function (emitter) {
+        emitter.removeListener('error', onError);
+      });
+      entity.removeListener('close', onClose);
+      resolve(err || null);
+    }
+    emitters.forEach(function (emitter) {
+      if (emitter.listeners('error').length) emitter.on('error', onError);
+    });
+    entity.once('close', onClose);
+    wait(finish);
+  });
+}
@@ -0,0 +1,78 @@
+'use strict';
+
+var AMQPTypes = require('./constants').AMQPTypes;
+
+// Field-table values are normally typed from their JavaScript value (see
+// serializer.serializeValue). Wrap a value with one of the functions below
+// to send it as a specific type instead, e.g. `types.uint8(10)` for
+// x-max-priority or `types.int16(-1)` for a signed short header.
+var TypedValue = function TypedValue (type, value) {
+  this.type = type;
+  this.value = value;
+};
+
+function integer (name, type, min, max) {
+  return function (value) {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+      throw new Error("Expected an integer between " + min + " and " + max + " for " + name + ", got " + value);
+    }
+    return new TypedValue(type, value);
+  };
+}
+
+function bigInteger (name, type, min, max) {
+  return function (value) {
+    var big;
+    try {
+      big = BigInt(value);
+    } catch (e) {
+      throw new Error("Expected an integer for " + name + ", got " + value);
+    }
+    if (big < min || big > max) {
+      throw new Error("Expected an integer between " + min + " and " + max + " for " + name + ", got " + value);
+    }
+    return new TypedValue(type, big);
+  };
+}
+
+module.exports = {
+  TypedValue: TypedValue,
+
+  int8:   integer('int8', AMQPTypes.SIGNED_8BIT, -0x80, 0x7f),
+  uint8:  integer('uint8', AMQPTypes.UNSIGNED_8BIT, 0, 0xff),
+  int16:  integer('int16', AMQPTypes.SIGNED_16BIT, -0x8000, 0x7fff),
+  uint16: integer('uint16', AMQPTypes.UNSIGNED_16BIT, 0, 0xffff),
+  int32:  integer('int32', AMQPTypes.INTEGER, -0x80000000, 0x7fffffff),
+  uint32: integer('uint32', AMQPTypes.UNSIGNED_32BIT, 0, 0xffffffff),
+  int64:  bigInteger('int64', AMQPTypes.SIGNED_64BIT, -(1n << 63n), (1n << 63n) - 1n),
+  // No uint64: RabbitMQ doesn't accept the 'L' type and closes the
+  // connection over it.
+
+  float: function (value) {
+    return new TypedValue(AMQPTypes._32BIT_FLOAT, Number(value));
+  },
+
+  double: function (value) {
+    return new TypedValue(AMQPTypes._64BIT_FLOAT, Number(value));
+  },
+
+  // The number value / 10^scale, e.g. decimal(2, 1234) is 12.34.
+  decimal: function (scale, value) {
+    if (!Number.isInteger(scale) || scale < 0 || scale > 0xff) {
+      throw new Error("Expected a decimal scale between 0 and 255, got " + scale);
+    }
+    if (!Number.isInteger(value) || value < 0 || value > 0xffffffff) {
+      throw new Error("Expected a decimal value between 0 and " + 0xffffffff + ", got " + value);
+    }
+    return new TypedValue(AMQPTypes.DECIMAL, {scale: scale, value: value});
+  },
+
+  // A Date, or seconds since the epoch.
+  timestamp: function (value) {
+    return new TypedValue(AMQPTypes.TIME, value instanceof Date ? value : new Date(value * 1000));
+  },
+
+  'void': function () {
+    return new TypedValue(AMQPTypes.VOID, null);
+  }
+};
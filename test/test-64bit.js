@@ -0,0 +1,95 @@
+// 64-bit integers (delivery tags, timestamps, 'l' table values) must
+// survive a round trip through the serializer and the parser, as Numbers
+// while they are safe and as BigInts beyond that.
+require('./harness');
+var AMQPParser = require('../lib/parser');
+var serializer = require('../lib/serializer');
+var methods = require('../lib/definitions').methods;
+
+function frame (method, args) {
+  var b = new Buffer(4096);
+  b.used = 0;
+  b[b.used++] = 1; // method frame
+  serializer.serializeInt(b, 2, 1);
+  var lengthIndex = b.used;
+  b.used += 4;
+  var startIndex = b.used;
+  serializer.serializeInt(b, 2, method.classIndex);
+  serializer.serializeInt(b, 2, method.methodIndex);
+  serializer.serializeFields(b, method.fields, args, true);
+  var endIndex = b.used;
+  b.used = lengthIndex;
+  serializer.serializeInt(b, 4, endIndex - startIndex);
+  b.used = endIndex;
+  b[b.used++] = 206;
+  return b.slice(0, b.used);
+}
+
+function roundTrip (method, args) {
+  var parser = new AMQPParser('0-9-1', 'client');
+  var received;
+  parser.onMethod = function (channel, method, args) {
+    received = args;
+  };
+  parser.execute(frame(method, args));
+  return received;
+}
+
+var tags = [
+  1,
+  0xffffffff,
+  0x100000001,
+  Number.MAX_SAFE_INTEGER,
+  BigInt(Number.MAX_SAFE_INTEGER) + 2n,
+  18446744073709551615n
+];
+
+tags.forEach(function (tag) {
+  var args = roundTrip(methods.basicAck, {deliveryTag: tag, multiple: false});
+  assert.strictEqual(tag, args.deliveryTag);
+});
+
+// Raw bytes are still accepted.
+var raw = Buffer.from([0, 0, 0, 1, 0, 0, 0, 2]);
+assert.strictEqual(0x100000002, roundTrip(methods.basicAck, {deliveryTag: raw, multiple: false}).deliveryTag);
+
+var args = roundTrip(methods.basicDeliver, {
+  consumerTag: 'ctag'
+, deliveryTag: 18446744073709551615n
+, redelivered: false
+, exchange: 'amq.topic'
+, routingKey: 'rk'
+});
+assert.strictEqual(18446744073709551615n, args.deliveryTag);
+assert.strictEqual('rk', args.routingKey);
+
+var table = roundTrip(methods.exchangeDeclare, {
+  reserved1: 0
+, exchange: 'x'
+, type: 'topic'
+, passive: false
+, durable: false
+, autoDelete: false
+, reserved2: false
+, reserved3: false
+, noWait: false
+, "arguments": {
+    big: 0x100000001
+  , bigger: 9007199254740993n
+  , negative: -9007199254740993n
+  , when: new Date(1500000000123)
+  }
+})["arguments"];
+
+assert.strictEqual(0x100000001, table.big);
+assert.strictEqual(9007199254740993n, table.bigger);
+assert.strictEqual(-9007199254740993n, table.negative);
+assert.strictEqual(1500000000000, table.when);
+
+// Error messages print such arguments instead of failing to serialize them.
+var Queue = require('../lib/queue');
+var queue = Object.create(Queue.prototype);
+queue._tasks = [];
+assert.throws(function () {
+  queue._onMethod(1, methods.basicRecoverOk, {deliveryTag: 18446744073709551615n});
+}, /Uncaught method 'basicRecoverOk' with args \{ deliveryTag: 18446744073709551615n \}/);
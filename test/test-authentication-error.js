@@ -0,0 +1,26 @@
+// A refused login is an AuthenticationError, and isn't retried.
+require('./harness');
+
+var conn = amqp.createConnection({ host: options.host
+                                 , port: options.port
+                                 , login: 'node-amqp-nobody'
+                                 , password: 'wrong'
+                                 },
+                                 { reconnectBackoffTime: 10 });
+var errors = [];
+var rejected = null;
+
+conn.on('error', function (err) {
+  errors.push(err);
+});
+
+conn.ready().catch(function (err) {
+  rejected = err;
+});
+
+process.addListener('exit', function () {
+  assert.equal(1, errors.length);
+  assert.ok(errors[0] instanceof amqp.errors.AuthenticationError);
+  assert.ok(errors[0].code === 403 || errors[0].code === null);
+  assert.strictEqual(errors[0], rejected);
+});
@@ -0,0 +1,31 @@
+// A server that offers none of the configured mechanisms fails the
+// connection with an AuthenticationError, which isn't retried.
+require('./harness');
+
+amqp.sasl.register('NODE-AMQP-UNOFFERED', function () {
+  return { response: '' };
+});
+
+var conn = amqp.createConnection({ host: options.host
+                                 , port: options.port
+                                 , authMechanism: 'NODE-AMQP-UNOFFERED'
+                                 },
+                                 { reconnectBackoffTime: 10 });
+var errors = [];
+var rejected = null;
+
+conn.on('error', function (err) {
+  errors.push(err);
+});
+
+conn.ready().catch(function (err) {
+  rejected = err;
+});
+
+process.addListener('exit', function () {
+  assert.equal(1, errors.length);
+  assert.ok(errors[0] instanceof amqp.errors.AuthenticationError);
+  assert.equal(null, errors[0].code);
+  assert.ok(/NODE-AMQP-UNOFFERED/.test(errors[0].message));
+  assert.strictEqual(errors[0], rejected);
+});
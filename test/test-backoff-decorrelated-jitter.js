@@ -0,0 +1,24 @@
+// "decorrelated-jitter" spreads out the very first pause too, so that clients
+// which lost their connection together don't all retry at the same moment.
+var assert = require('assert');
+var Backoff = require('../lib/backoff');
+
+var options = { initial: 100, limit: 1000 };
+
+var first = [];
+for (var i = 0; i < 20; i++) {
+  var backoff = new Backoff('decorrelated-jitter', options);
+  var delay = backoff.next();
+  assert.ok(delay >= 100 && delay <= 300, 'first pause out of range: ' + delay);
+  first.push(delay);
+
+  for (var attempt = 0; attempt < 10; attempt++) {
+    var previous = backoff.delay;
+    delay = backoff.next();
+    assert.ok(delay >= 100 && delay <= Math.min(1000, previous * 3),
+        'pause out of range: ' + delay);
+  }
+}
+
+assert.ok(first.some(function (delay) { return delay !== first[0]; }),
+    'the first pauses are all the same');
@@ -0,0 +1,23 @@
+// Binding to an exchange that doesn't exist closes the channel; the bind is
+// failed with the server's error instead of waiting forever.
+require('./harness').run();
+
+var bindError = null;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.queue('node-bind-channel-close', {exclusive: true}, function (q) {
+    q.on('error', function () {});
+    q.bind('node-bind-channel-close-missing', '#').then(function () {
+      assert.fail('bind should have failed');
+    }, function (err) {
+      bindError = err;
+      connection.end();
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.ok(bindError instanceof amqp.errors.NotFoundError);
+});
@@ -0,0 +1,33 @@
+// The client announces the extensions it implements, merged with any
+// capabilities given, and exposes what the server announced.
+global.options = {clientProperties: {capabilities: {consumer_cancel_notify: false}}};
+require('./harness').run();
+
+var checked = false;
+
+connection.addListener('ready', function () {
+  var capabilities = connection.options.clientProperties.capabilities;
+  assert.strictEqual(false, capabilities.consumer_cancel_notify);
+  assert.strictEqual(true, capabilities.publisher_confirms);
+  assert.strictEqual(true, capabilities['connection.blocked']);
+
+  assert.strictEqual(true, connection.serverCapabilities.publisher_confirms);
+  assert.strictEqual(true, connection.serverCapabilities.exchange_exchange_bindings);
+
+  connection.exchange('node-capabilities', {type: 'fanout'}, function (exchange) {
+    // Pretend the server can't do exchange-to-exchange bindings.
+    connection.serverCapabilities = {};
+    assert.throws(function () {
+      exchange.bind('amq.fanout', '');
+    }, function (err) {
+      return err instanceof amqp.errors.NotImplementedError && err.code === 540;
+    });
+    checked = true;
+    exchange.destroy();
+    connection.end();
+  });
+});
+
+process.addListener('exit', function () {
+  assert.ok(checked);
+});
@@ -0,0 +1,46 @@
+// An exchange whose channel the server closes is reopened, and publishes
+// made meanwhile aren't lost.
+require('./harness').run({}, { channelRecovery: { initial: 50, maxAttempts: 3 } });
+
+var recovering = 0;
+var recovered = 0;
+var errors = 0;
+var received = [];
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.queue('node-channel-recovery', {exclusive: true}, function (q) {
+    q.subscribe(function (message) {
+      received.push(message.data.toString());
+      connection.end();
+    }).addCallback(function () {
+      // Doesn't exist, so the first publish closes the channel.
+      var missing = connection.exchange('node-channel-recovery-missing', {noDeclare: true}, function (exchange) {
+        exchange.publish('', 'lost');
+      });
+      missing.on('error', function (err) {
+        assert.ok(err instanceof amqp.errors.NotFoundError);
+        errors++;
+      });
+      missing.on('recovering', function (err, attempt) {
+        assert.equal(1, attempt);
+        recovering++;
+      });
+      missing.on('recovered', function () {
+        recovered++;
+        missing.close();
+        connection.exchange('', {}, function (exchange) {
+          exchange.publish('node-channel-recovery', 'after recovery');
+        });
+      });
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.equal(1, errors);
+  assert.equal(1, recovering);
+  assert.equal(1, recovered);
+  assert.deepEqual(['after recovery'], received);
+});
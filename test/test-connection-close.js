@@ -0,0 +1,47 @@
+require('./harness').run();
+
+var steps = [];
+
+connection.on('ready', function () {
+  var q = connection.queue('node-connection-close', function () {
+    connection.exchange('node-connection-close', {type: 'fanout', confirm: true}, function (exchange) {
+      q.bind(exchange, '*');
+      q.subscribe({ack: true}, function (message) {
+        steps.push('received');
+
+        // Acknowledge late; close() has to wait for it.
+        setTimeout(function () {
+          steps.push('acknowledged');
+          q.shift();
+        }, 200);
+
+        connection.close({ timeout: 5000 }, function (err) {
+          assert.ifError(err);
+          steps.push('closed');
+        });
+      })
+      .addCallback(function () {
+        exchange.publish('', {}, {}, function (err) {
+          assert.ok(!err);
+          steps.push('confirmed');
+        });
+      });
+    });
+  });
+
+  q.on('basicCancelOk', function () {
+    steps.push('cancelled');
+  });
+  q.on('close', function () {
+    steps.push('channel closed');
+  });
+});
+
+process.addListener('exit', function () {
+  // The publish may be confirmed before or after the message arrives.
+  assert.ok(steps.indexOf('confirmed') !== -1);
+  steps.splice(steps.indexOf('confirmed'), 1);
+  assert.deepEqual(['received', 'cancelled', 'acknowledged', 'channel closed', 'closed'], steps);
+  // The reconnect option is left as it was given.
+  assert.ok(connection.implOptions.reconnect);
+});
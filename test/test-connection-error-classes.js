@@ -0,0 +1,38 @@
+// A reply code keeps its error class when the server sends it at the other
+// level than the spec, e.g. RabbitMQ closing the connection with 403, and is
+// a ConnectionError or ChannelError by what was closed.
+var assert = require('assert');
+var amqp = require('../amqp');
+
+var error = amqp.errors.fromClose({
+  replyCode: 403,
+  replyText: "ACCESS_REFUSED - access to topic 'logs' in exchange 'amq.topic' refused",
+  classId: 60,
+  methodId: 40
+}, false);
+
+assert.ok(error instanceof amqp.errors.AccessRefusedError);
+assert.ok(error instanceof amqp.errors.ConnectionError);
+assert.ok(!(error instanceof amqp.errors.ChannelError));
+assert.ok(error instanceof amqp.errors.AMQPError);
+assert.equal('AccessRefusedError', error.name);
+assert.equal(403, error.code);
+assert.equal(false, error.soft);
+assert.equal('basic.publish', error.method);
+
+// Codes without a class of their own fall back to the kind that was closed.
+error = amqp.errors.fromClose({ replyCode: 999, replyText: 'UNKNOWN' }, false);
+assert.equal('ConnectionError', error.name);
+assert.equal(false, error.soft);
+
+// A connection-level code that only closed a channel is a ChannelError.
+error = amqp.errors.fromClose({ replyCode: 540, replyText: 'NOT_IMPLEMENTED' }, true);
+assert.ok(error instanceof amqp.errors.NotImplementedError);
+assert.ok(error instanceof amqp.errors.ChannelError);
+assert.ok(!(error instanceof amqp.errors.ConnectionError));
+
+// And at their own level they are what the table says.
+error = amqp.errors.fromClose({ replyCode: 404, replyText: 'NOT_FOUND' }, true);
+assert.ok(error instanceof amqp.errors.ChannelError);
+assert.ok(!(error instanceof amqp.errors.ConnectionError));
+assert.ok(new amqp.errors.AuthenticationError('refused', 403) instanceof amqp.errors.ConnectionError);
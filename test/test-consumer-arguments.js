@@ -0,0 +1,36 @@
+// A consumer with a higher x-priority gets the messages while it can take
+// them, and on a single active consumer queue only the first consumer does.
+require('./harness').run();
+
+var received = { high: 0, low: 0, first: 0, second: 0 };
+var total = 0;
+
+function counter (name) {
+  return function () {
+    received[name]++;
+    if (++total === 6) connection.end();
+  };
+}
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.queue('node-consumer-priority', {exclusive: true}, function (q) {
+    q.subscribe({ consumerArguments: amqp.consumerArguments({ priority: 0 }) }, counter('low'));
+    q.subscribe({ consumerArguments: amqp.consumerArguments({ priority: 10 }) }, counter('high'))
+    .addCallback(function () {
+      for (var i = 0; i < 3; i++) connection.publish('node-consumer-priority', 'message');
+    });
+  });
+
+  connection.queue('node-single-active-consumer', {exclusive: true, singleActiveConsumer: true}, function (q) {
+    q.subscribe(counter('first'));
+    q.subscribe(counter('second')).addCallback(function () {
+      for (var i = 0; i < 3; i++) connection.publish('node-single-active-consumer', 'message');
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.deepEqual({ high: 3, low: 0, first: 3, second: 0 }, received);
+});
@@ -0,0 +1,31 @@
+// Channel errors are typed by reply code and name the method that failed.
+require('./harness').run();
+
+var error = null;
+
+connection.on('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  var q = connection.queue('node-will-not-see-this', { passive: true }, function () {
+    assert.ok(false, 'Not supposed to see this message.');
+  });
+
+  q.on('error', function (err) {
+    error = err;
+    connection.end();
+  });
+});
+
+process.addListener('exit', function () {
+  assert.ok(error instanceof amqp.errors.NotFoundError);
+  assert.ok(error instanceof amqp.errors.ChannelError);
+  assert.ok(error instanceof amqp.errors.AMQPError);
+  assert.ok(error instanceof Error);
+  assert.equal('NotFoundError', error.name);
+  assert.equal(404, error.code);
+  assert.equal(404, error.replyCode);
+  assert.equal(true, error.soft);
+  assert.equal('queue.declare', error.method);
+  assert.equal(50, error.classId);
+  assert.equal(10, error.methodId);
+});
@@ -0,0 +1,41 @@
+// Piping into exchange.createWriteStream() publishes every chunk, and the
+// pipeline only finishes once the broker has confirmed them all.
+require('./harness').run();
+var stream = require('stream');
+
+var received = [];
+var finished = false;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  var exchange = connection.exchange('node-write-stream', {type: 'topic', confirm: true});
+  connection.queue('node-write-stream-queue', {exclusive: true}, function (q) {
+    q.bind(exchange, 'record.*');
+    q.subscribe(function (json) {
+      received.push(json.n);
+      if (received.length === 100 && finished) connection.end();
+    }).addCallback(function () {
+      var records = [];
+      for (var n = 0; n < 100; n++) records.push({ n: n, kind: n % 2 ? 'odd' : 'even' });
+
+      stream.pipeline(
+        stream.Readable.from(records),
+        exchange.createWriteStream({
+          routingKeyFn: function (record) { return 'record.' + record.kind; },
+          highWaterMark: 10
+        }),
+        function (err) {
+          assert.ifError(err);
+          assert.equal(0, Object.keys(exchange._unAcked).length);
+          finished = true;
+          if (received.length === 100) connection.end();
+        });
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.ok(finished);
+  assert.equal(100, received.length);
+});
@@ -0,0 +1,86 @@
+// Every field-table type must decode correctly, and amqp.types must send
+// exactly the type asked for.
+require('./harness');
+var amqp = require('../amqp');
+var types = amqp.types;
+var AMQPParser = require('../lib/parser');
+var serializer = require('../lib/serializer');
+var methods = require('../lib/definitions').methods;
+
+// Serializes `headers` into a content header frame and parses it back.
+function roundTrip (headers) {
+  var b = new Buffer(4096);
+  b.used = 0;
+  b[b.used++] = 2; // header frame
+  serializer.serializeInt(b, 2, 1);
+  var lengthIndex = b.used;
+  b.used += 4;
+  var startIndex = b.used;
+  serializer.serializeInt(b, 2, 60); // basic
+  serializer.serializeInt(b, 2, 0); // weight
+  serializer.serializeInt(b, 8, 0); // body size
+  serializer.serializeInt(b, 2, 0x2000); // property flags: headers only
+  serializer.serializeTable(b, headers);
+  var endIndex = b.used;
+  b.used = lengthIndex;
+  serializer.serializeInt(b, 4, endIndex - startIndex);
+  b.used = endIndex;
+  b[b.used++] = 206;
+
+  var frame = b.slice(0, b.used);
+  var parser = new AMQPParser('0-9-1', 'client');
+  var received;
+  parser.onContentHeader = function (channel, classInfo, weight, properties, size) {
+    received = properties.headers;
+  };
+  parser.execute(frame);
+  return {frame: frame, headers: received};
+}
+
+// The type octet written for the single header in `headers`.
+function typeOf (frame, name) {
+  var at = frame.indexOf(name) + name.length;
+  return String.fromCharCode(frame[at]);
+}
+
+var cases = [
+  ['int8', types.int8(-5), 'b', -5]
+, ['uint8', types.uint8(200), 'B', 200]
+, ['int16', types.int16(-300), 's', -300]
+, ['uint16', types.uint16(60000), 'u', 60000]
+, ['int32', types.int32(-70000), 'I', -70000]
+, ['uint32', types.uint32(0xfffffffe), 'i', 0xfffffffe]
+, ['int64', types.int64(-5), 'l', -5]
+, ['float', types.float(1.5), 'f', 1.5]
+, ['double', types.double(1.25), 'd', 1.25]
+, ['decimal', types.decimal(2, 1234), 'D', 12.34]
+, ['timestamp', types.timestamp(1500000000), 'T', 1500000000000]
+, ['void', types['void'](), 'V', null]
+, ['inferredInt', -1, 'I', -1]
+, ['inferredLong', 0x80000000, 'l', 0x80000000]
+, ['inferredDouble', 0.5, 'd', 0.5]
+, ['inferredNull', null, 'V', null]
+];
+
+cases.forEach(function (c) {
+  var headers = {};
+  headers[c[0]] = c[1];
+  var result = roundTrip(headers);
+  assert.equal(c[2], typeOf(result.frame, c[0]), c[0]);
+  assert.strictEqual(c[3], result.headers[c[0]], c[0]);
+});
+
+// Typed values nest in arrays and tables.
+var nested = roundTrip({list: [types.int16(1), 'two'], table: {three: types.uint8(3)}}).headers;
+assert.deepEqual([1, 'two'], nested.list);
+assert.deepEqual({three: 3}, nested.table);
+
+assert.throws(function () { types.int8(128); });
+assert.throws(function () { types.uint16(-1); });
+assert.throws(function () { types.int32(1.5); });
+
+// RabbitMQ rejects unsigned 64-bit values, so they can't be sent.
+assert.strictEqual(undefined, types.uint64);
+assert.throws(function () {
+  roundTrip({big: new types.TypedValue('L'.charCodeAt(0), 1n)});
+}, /'L'/);
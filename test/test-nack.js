@@ -0,0 +1,42 @@
+require('./harness').run();
+
+var received_count = 0;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  var exchange = connection.exchange('node-nack-fanout', {type: 'fanout'});
+
+  var q = connection.queue('node-nack-queue', {autoDelete: false}, function() {
+    var nacked = false;
+
+    q.bind(exchange, "*");
+
+    q.subscribe({ack: true, prefetchCount: 3}, function (json, headers, deliveryInfo, m) {
+      received_count++;
+      if (nacked) {
+        // Requeued messages come back once; accept them this time.
+        m.acknowledge();
+      } else if (received_count == 3) {
+        // Nack all three outstanding deliveries in a single frame.
+        nacked = true;
+        m.nack({ multiple: true, requeue: true });
+      }
+    })
+    .addCallback(function () {
+      exchange.publish('one', {n: 1});
+      exchange.publish('two', {n: 2});
+      exchange.publish('three', {n: 3});
+
+      setTimeout(function () {
+        q.destroy();
+        connection.end();
+      }, 1000);
+    });
+  });
+});
+
+
+process.addListener('exit', function () {
+  assert.equal(received_count, 6);
+});
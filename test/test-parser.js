@@ -71,4 +71,20 @@ for (var j = 0; j < consumeX2.length; j++) {
   packets(consumeX2.slice(0, j), consumeX2.slice(j));
 }
 
+// Lots of frames in a single packet, split anywhere, must all arrive.
+var AMQPParser = require('../lib/parser');
+var parser = new AMQPParser('0-9-1', 'client');
+var heartbeats = 0;
+var manyHeartbeats = [];
+for (var k = 0; k < 10000; k++) {
+  manyHeartbeats = manyHeartbeats.concat(heartbeat);
+}
+
+parser.onHeartBeat = function () {
+  heartbeats++;
+};
+parser.execute(new Buffer(manyHeartbeats.slice(0, 12345)));
+parser.execute(new Buffer(manyHeartbeats.slice(12345)));
+assert.equal(10000, heartbeats);
+
 assert(!errorThrown);
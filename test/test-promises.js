@@ -0,0 +1,41 @@
+require('./harness');
+
+var received = [];
+var unsubscribed = false;
+
+amqp.connect(global.options, global.implOpts).then(async function (connection) {
+  puts("connected to " + connection.serverProperties.product);
+
+  var exchange = await connection.exchange('node-promise-fanout', {type: 'fanout', confirm: true}).ready();
+  var q = await connection.queue('node-promise-queue').ready();
+
+  await q.bind(exchange, '*');
+
+  var ok = await q.subscribe(function (message) {
+    received.push(message.name);
+  });
+  assert.ok(ok.consumerTag);
+
+  await exchange.publish('promise', { name: 'A' });
+
+  setTimeout(async function () {
+    await q.unsubscribe(ok.consumerTag);
+    unsubscribed = true;
+
+    await exchange.publish('promise', { name: 'B' });
+    var m = await q.get();
+    received.push(m.body.name);
+    assert.equal(null, await q.get());
+    await q.purge();
+    await q.destroy();
+    connection.end();
+  }, 500);
+}).catch(function (err) {
+  throw err;
+});
+
+
+process.addListener('exit', function () {
+  assert.deepEqual(['A', 'B'], received);
+  assert.ok(unsubscribed);
+});
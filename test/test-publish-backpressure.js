@@ -0,0 +1,31 @@
+global.options = { writeHighWaterMark: 16384 };
+require('./harness').run();
+
+var published = 0;
+var waits = 0;
+var body = new Buffer(4096);
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.exchange('node-backpressure', {type: 'fanout'}, function (exchange) {
+    function publishSome () {
+      while (published < 1000) {
+        published++;
+        if (exchange.publish('', body).needsDrain) {
+          assert.ok(connection.needsDrain);
+          waits++;
+          return connection.once('writeDrain', publishSome);
+        }
+      }
+      exchange.destroy();
+      connection.end();
+    }
+    publishSome();
+  });
+});
+
+process.addListener('exit', function () {
+  assert.equal(1000, published);
+  assert.ok(waits > 0);
+});
@@ -0,0 +1,60 @@
+// The body is copied when it is published, so the caller can reuse its
+// Buffer right away, while the frames may still be waiting in the socket:
+// publishes made in one tick are corked and go out together at the end of
+// it, small ones from a shared slab.
+
+require('./harness').run();
+
+var bodySize = 100000;
+var body = new Buffer(bodySize);
+var small = Buffer.alloc(16);
+var smallCount = 10;
+var expected = [];
+var received = [];
+var corked = null;
+var uncorkedAfter = null;
+
+for (var i = 0; i < bodySize; i++ ){
+  body[i] = i % 251;
+}
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.exchange('node-body-reuse-fanout', {type: 'fanout'}, function (exchange) {
+    connection.queue('node-body-reuse-queue', function (q) {
+      q.bind(exchange, "*");
+      q.on('queueBindOk', function () {
+        q.subscribe(function (message) {
+          received.push(message.data);
+          if (received.length === smallCount + 1) connection.end();
+        }).addCallback(function () {
+          // All in one tick, overwriting the same Buffer every time.
+          for (var n = 0; n < smallCount; n++) {
+            small.fill(n);
+            expected.push(Buffer.from(small));
+            exchange.publish("message.reuse", small, {contentType: 'application/octet-stream'});
+          }
+          expected.push(Buffer.from(body));
+          exchange.publish("message.reuse", body, {contentType: 'application/octet-stream'});
+          small.fill(0xff);
+          body.fill(0);
+
+          corked = connection.socket.writableCorked;
+          setImmediate(function () {
+            uncorkedAfter = connection.socket.writableCorked;
+          });
+        });
+      });
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.ok(corked > 0);
+  assert.equal(0, uncorkedAfter);
+  assert.equal(expected.length, received.length);
+  expected.forEach(function (body, i) {
+    assert.ok(body.equals(received[i]), 'message ' + i + ' was corrupted');
+  });
+});
@@ -0,0 +1,32 @@
+// Publishes made before the exchange is open are held in its publish
+// buffer, and sent in order once it opens.
+require('./harness').run();
+
+var received = [];
+var dropped = [];
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.queue('node-publish-buffer', {exclusive: true}, function (q) {
+    q.subscribe(function (message) {
+      received.push(message.data.toString());
+      if (received.length === 3) connection.end();
+    }).addCallback(function () {
+      var exchange = connection.exchange('', {publishBuffer: {limit: 3, overflow: 'drop-oldest'}});
+      exchange.on('publishDropped', function (routingKey, body) {
+        dropped.push(body);
+      });
+
+      // None of these can be sent yet.
+      ['one', 'two', 'three', 'four'].forEach(function (body) {
+        exchange.publish('node-publish-buffer', body);
+      });
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.deepEqual(['one'], dropped);
+  assert.deepEqual(['two', 'three', 'four'], received);
+});
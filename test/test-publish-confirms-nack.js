@@ -0,0 +1,28 @@
+// The server nacks publishes to a full queue that rejects them, and the
+// publish callback has to hear about it.
+require('./harness').run();
+
+var results = [];
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.queue('node-publish-confirms-nack',
+      {exclusive: true, arguments: {'x-max-length': 1, 'x-overflow': 'reject-publish'}},
+      function () {
+    connection.exchange('', {confirm: true}, function (exchange) {
+      exchange.publish('node-publish-confirms-nack', 'first', {}, function (err) {
+        results.push(err);
+      });
+      exchange.publish('node-publish-confirms-nack', 'second', {}, function (err, error) {
+        results.push(err);
+        assert.ok(error instanceof Error);
+        connection.end();
+      });
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.deepEqual([false, true], results);
+});
@@ -0,0 +1,33 @@
+// With a global prefetch of 2 only two unacknowledged messages arrive;
+// raising the limit on the live consumer lets the rest through.
+require('./harness').run();
+
+var received = [];
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.queue('node-qos', {exclusive: true}, function (q) {
+    q.qos({ prefetchCount: 2, global: true });
+
+    q.subscribe({ ack: true }, function (json) {
+      received.push(json.n);
+      if (received.length === 2) {
+        setTimeout(function () {
+          assert.equal(2, received.length);
+          q.qos({ prefetchCount: 4, global: true });
+        }, 500);
+      } else if (received.length === 4) {
+        connection.end();
+      }
+    }).addCallback(function () {
+      for (var n = 1; n <= 4; n++) {
+        connection.publish('node-qos', { n: n });
+      }
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.deepEqual([1, 2, 3, 4], received);
+});
@@ -0,0 +1,26 @@
+// Consuming a queue that doesn't exist closes its channel; the error ends
+// a `for await` loop over queue.consume() by throwing.
+require('./harness').run();
+
+var consumeError = null;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  var q = connection.queue('node-consume-missing-queue', { noDeclare: true }, function () {
+    (async function () {
+      try {
+        for await (var message of q.consume()) {
+          assert.fail('nothing should be consumed');
+        }
+      } catch (err) {
+        consumeError = err;
+      }
+      connection.end();
+    })();
+  });
+});
+
+process.addListener('exit', function () {
+  assert.ok(consumeError instanceof amqp.errors.NotFoundError);
+});
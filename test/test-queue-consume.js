@@ -0,0 +1,32 @@
+// queue.consume() reads messages with `for await`; breaking out cancels
+// the consumer and the messages not read yet go back to the queue.
+require('./harness').run();
+
+var first = [], second = [];
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.queue('node-queue-consume', {exclusive: true}, function (q) {
+    for (var n = 1; n <= 5; n++) {
+      connection.publish('node-queue-consume', { n: n });
+    }
+
+    (async function () {
+      for await (var message of q.consume({ prefetchCount: 2 })) {
+        first.push(message.body.n);
+        if (first.length === 3) break;
+      }
+      for await (var message of q.consume()) {
+        second.push(message.body.n);
+        if (second.length === 2) break;
+      }
+      connection.end();
+    })();
+  });
+});
+
+process.addListener('exit', function () {
+  assert.deepEqual([1, 2, 3], first);
+  assert.deepEqual([4, 5], second.sort());
+});
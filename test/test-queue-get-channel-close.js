@@ -0,0 +1,30 @@
+require('./harness').run();
+
+// A basic.get on a queue that doesn't exist closes the channel; the get is
+// failed with the server's error instead of waiting forever, and so is the
+// one still pending behind it, through its callback.
+var getError = null;
+var callbackError = null;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  var q = connection.queue('node-get-missing-queue', { noDeclare: true }, function () {
+    q.on('error', function () {});
+    q.get().then(function () {
+      assert.fail('get should have failed');
+    }, function (err) {
+      getError = err;
+    });
+    q.get(function (err, message) {
+      assert.equal(undefined, message);
+      callbackError = err;
+      connection.end();
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.ok(getError instanceof amqp.errors.NotFoundError);
+  assert.ok(callbackError instanceof amqp.errors.NotFoundError);
+});
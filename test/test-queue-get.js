@@ -0,0 +1,48 @@
+require('./harness').run();
+
+var received = [];
+var emptyCount = null;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.exchange('node-get-fanout', {type: 'fanout'}, function (exchange) {
+    var q = connection.queue('node-get-queue', function () {
+      q.bind(exchange, '*');
+      q.on('queueBindOk', function () {
+        exchange.publish('get.one', { name: 'A' });
+        exchange.publish('get.two', { name: 'B' });
+
+        setTimeout(function () {
+          q.get({ ack: true }, function (err, message, headers, deliveryInfo, m) {
+            assert.ifError(err);
+            received.push(message.name);
+            assert.equal('get.one', deliveryInfo.routingKey);
+            assert.equal(1, deliveryInfo.messageCount);
+            m.acknowledge();
+
+            q.get(function (err, message, headers, deliveryInfo) {
+              assert.ifError(err);
+              received.push(message.name);
+              assert.equal(0, deliveryInfo.messageCount);
+
+              q.get(function (err, message, headers, deliveryInfo) {
+                assert.ifError(err);
+                assert.equal(null, message);
+                emptyCount = deliveryInfo.messageCount;
+                q.destroy();
+                connection.end();
+              });
+            });
+          });
+        }, 500);
+      });
+    });
+  });
+});
+
+
+process.addListener('exit', function () {
+  assert.deepEqual(['A', 'B'], received);
+  assert.equal(0, emptyCount);
+});
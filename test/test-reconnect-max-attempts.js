@@ -0,0 +1,29 @@
+require('./harness');
+
+// Nothing listens on port 1, so every attempt fails.
+var conn = amqp.createConnection({ host: options.host, port: 1 },
+                                 { reconnectBackoffStrategy: 'full-jitter'
+                                 , reconnectBackoffTime: 10
+                                 , reconnectMaxAttempts: 2
+                                 });
+var errors = 0;
+var failed = 0;
+
+conn.on('error', function () {
+  errors++;
+});
+
+conn.on('reconnectFailed', function (err) {
+  assert.ok(err instanceof Error);
+  failed++;
+});
+
+assert.throws(function () {
+  amqp.createConnection({}, { reconnectBackoffStrategy: 'sometimes' });
+}, /Unknown backoff strategy/);
+
+process.addListener('exit', function () {
+  // The first connection attempt and two reconnects.
+  assert.equal(3, errors);
+  assert.equal(1, failed);
+});
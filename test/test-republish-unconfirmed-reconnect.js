@@ -0,0 +1,59 @@
+// With republishUnconfirmed, a publish the broker never confirmed before the
+// connection dropped is published again once the connection is back.
+require('./harness').run();
+var proxy = require('./proxy');
+
+var proxyRoute = new proxy.route(9002, options.port, options.host);
+var publisher = amqp.createConnection({ host: '127.0.0.1', port: 9002 }, {
+  reconnect: true,
+  reconnectBackoffStrategy: 'linear',
+  reconnectBackoffTime: 100
+});
+publisher.on('error', function () {});
+
+var received = [];
+var confirmed = null;
+var ready = 0;
+
+connection.once('ready', start);
+publisher.once('ready', start);
+
+function start () {
+  if (++ready < 2) return;
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.queue('node-republish-unconfirmed', {exclusive: true}, function (q) {
+    q.subscribe(function (message) {
+      received.push(message.data.toString());
+    }).addCallback(function () {
+      q.bind('amq.direct', 'node-republish-unconfirmed', publish);
+    });
+  });
+}
+
+function publish () {
+  var exchange = publisher.exchange('amq.direct', {confirm: true, republishUnconfirmed: true});
+
+  exchange.once('open', function () {
+    // The proxy swallows the publish, so the broker never sees it
+    // before the connection goes.
+    proxyRoute.operational = false;
+    exchange.publish('node-republish-unconfirmed', 'one', {}, function (err) {
+      confirmed = !err;
+      setTimeout(function () {
+        publisher.setImplOptions({reconnect: false});
+        publisher.end();
+        connection.end();
+        proxyRoute.close();
+      }, 200);
+    });
+    setTimeout(function () {
+      proxyRoute.interrupt();
+    }, 50);
+  });
+}
+
+process.addListener('exit', function () {
+  assert.equal(true, confirmed);
+  assert.deepEqual(['one'], received);
+});
@@ -0,0 +1,38 @@
+// An unroutable mandatory publish comes back whole: 'return' has the body,
+// headers and properties, and in confirm mode the publish is told too.
+require('./harness').run();
+
+var returned = null;
+var publishReturned = false;
+var confirmed = false;
+
+connection.addListener('ready', function () {
+  connection.exchange('node-return-message', {type: 'fanout', confirm: true}, function (exchange) {
+    exchange.on('return', function (message, headers, returnInfo) {
+      returned = {message: message, headers: headers, returnInfo: returnInfo};
+    });
+
+    var task = exchange.publish('', {order: 42},
+        {mandatory: true, messageId: 'order-42', contentType: 'application/json', headers: {source: 'test'}},
+        function (err) {
+          confirmed = !err;
+          exchange.destroy();
+          connection.end();
+        });
+    task.on('return', function () {
+      publishReturned = true;
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.ok(returned);
+  assert.deepEqual({order: 42}, returned.message);
+  assert.equal('test', returned.headers.source);
+  assert.equal(312, returned.returnInfo.replyCode);
+  assert.equal('NO_ROUTE', returned.returnInfo.replyText);
+  assert.equal('order-42', returned.returnInfo.messageId);
+  assert.equal('node-return-message', returned.returnInfo.exchange);
+  assert.ok(publishReturned);
+  assert.ok(confirmed);
+});
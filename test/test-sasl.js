@@ -0,0 +1,40 @@
+global.options = { authMechanism: ['SCRAM-SHA-256', 'PLAIN'] };
+require('./harness').run();
+
+var crypto = require('crypto');
+var sasl = require('../lib/sasl');
+
+// The SCRAM-SHA-256 example exchange from RFC 7677, with its client nonce.
+var randomBytes = crypto.randomBytes;
+crypto.randomBytes = function () {
+  return Buffer.from('rOprNGfwEbeRWgbNEkqO', 'base64');
+};
+var scram = sasl.mechanisms['SCRAM-SHA-256']({ login: 'user', password: 'pencil' });
+crypto.randomBytes = randomBytes;
+
+assert.equal('n,,n=user,r=rOprNGfwEbeRWgbNEkqO', scram.response);
+assert.equal(false, scram.verified());
+assert.equal('c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,' +
+             'p=dHzbZapWIk4jUhN+Ute9ytag9zjfMHgsqmmiz7AndVQ=',
+             scram.challenge('r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,' +
+                             's=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096'));
+// Until the server's final message the server hasn't proven anything.
+assert.equal(false, scram.verified());
+assert.equal('', scram.challenge('v=6rriTRBi23WpRR/wtup+mMhUZUn/dB5nLTJRsjl95G4='));
+assert.equal(true, scram.verified());
+assert.throws(function () { scram.challenge('v=bm90IHRoZSBzZXJ2ZXI='); });
+
+assert.equal('PLAIN', sasl.choose(['SCRAM-SHA-256', 'PLAIN'], 'AMQPLAIN PLAIN'));
+assert.equal(null, sasl.choose('EXTERNAL', 'AMQPLAIN PLAIN'));
+
+var readyCount = 0;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+  readyCount++;
+  connection.end();
+});
+
+process.addListener('exit', function () {
+  assert.equal(1, readyCount);
+});
@@ -0,0 +1,51 @@
+require('./harness').run();
+
+// Acknowledging with `multiple` on a shared channel settles the earlier
+// messages of every queue on it, as the server does.
+var messages = [];
+var unackedAfter = null;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  var channel = connection.createChannel();
+
+  channel.exchange('node-shared-ack-multiple', {type: 'direct'}, function (exchange) {
+    var names = ['node-shared-ack-multiple-1', 'node-shared-ack-multiple-2'];
+    var queues = [];
+    var ready = 0;
+
+    names.forEach(function (name) {
+      channel.queue(name, function (q) {
+        queues.push(q);
+        q.bind(exchange, name);
+        q.subscribe({ ack: true, prefetchCount: 0 }, function (message, headers, deliveryInfo, m) {
+          messages.push(m);
+          if (messages.length < names.length) return;
+
+          // The later delivery covers the earlier one, on the other queue.
+          var last = messages[0].deliveryTag > messages[1].deliveryTag ? messages[0] : messages[1];
+          last.acknowledge(true);
+          unackedAfter = queues.map(function (q) { return q._unacked.length; });
+
+          setTimeout(function () {
+            channel.close();
+            connection.end();
+          }, 100);
+        })
+        .addCallback(function () {
+          if (++ready < names.length) return;
+          names.forEach(function (name) {
+            exchange.publish(name, { body: name });
+          });
+        });
+      });
+    });
+  });
+});
+
+
+process.addListener('exit', function () {
+  assert.equal(2, messages.length);
+  assert.deepEqual([0, 0], unackedAfter);
+});
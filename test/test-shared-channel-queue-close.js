@@ -0,0 +1,33 @@
+// Closing a queue on a shared channel cancels its consumers, so the server
+// stops delivering to it, while the channel stays open for the others.
+require('./harness').run();
+
+var consumerCount = null;
+var closed = 0;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  var channel = connection.createChannel();
+
+  channel.queue('node-shared-channel-queue-close', {autoDelete: false}, function (q) {
+    q.on('close', function () {
+      closed++;
+      channel.queue('node-shared-channel-queue-close', {passive: true}, function (passive, messageCount, consumers) {
+        consumerCount = consumers;
+        passive.destroy();
+        channel.close();
+        connection.end();
+      });
+    });
+
+    q.subscribe(function () {}).addCallback(function () {
+      q.close();
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.equal(1, closed);
+  assert.equal(0, consumerCount);
+});
@@ -0,0 +1,57 @@
+// A shared channel the server closes is reopened, and the queues on it are
+// declared and subscribed again.
+require('./harness').run({}, { channelRecovery: { initial: 50, maxAttempts: 3 } });
+
+var recovering = 0;
+var channelRecovered = 0;
+var queueRecovered = 0;
+var errors = 0;
+var received = [];
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  var channel = connection.createChannel();
+  channel.on('error', function (err) {
+    assert.ok(err instanceof amqp.errors.NotFoundError);
+    errors++;
+  });
+  channel.on('recovering', function (err, attempt) {
+    assert.equal(1, attempt);
+    recovering++;
+  });
+  channel.on('recovered', function () {
+    channelRecovered++;
+  });
+
+  channel.queue('node-shared-channel-recovery', {exclusive: true}, function (q) {
+    q.on('recovered', function (attempts) {
+      assert.equal(1, attempts);
+      queueRecovered++;
+      connection.exchange('', {}, function (exchange) {
+        exchange.publish('node-shared-channel-recovery', 'after recovery');
+      });
+    });
+
+    q.subscribe(function (message) {
+      received.push(message.data.toString());
+      channel.close();
+      connection.end();
+    }).addCallback(function () {
+      // Doesn't exist, so declaring it closes the channel. Once closed it
+      // isn't declared again.
+      var missing = channel.queue('node-shared-channel-recovery-missing', {passive: true});
+      channel.once('error', function () {
+        missing.close();
+      });
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.equal(1, errors);
+  assert.equal(1, recovering);
+  assert.equal(1, channelRecovered);
+  assert.equal(1, queueRecovered);
+  assert.deepEqual(['after recovery'], received);
+});
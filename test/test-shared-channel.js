@@ -0,0 +1,47 @@
+require('./harness').run();
+
+var received = {};
+var channelsBefore, channelsAfter;
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  channelsBefore = Object.keys(connection.channels).length;
+
+  var channel = connection.createChannel();
+
+  channel.exchange('node-shared-channel', {type: 'direct'}, function (exchange) {
+    var names = ['node-shared-channel-1', 'node-shared-channel-2'];
+    var ready = 0;
+
+    names.forEach(function (name) {
+      channel.queue(name, function (q) {
+        assert.equal(channel.channel, q.channel);
+        q.bind(exchange, name);
+        q.subscribe(function (message) {
+          received[name] = message.body;
+        })
+        .addCallback(function () {
+          if (++ready < names.length) return;
+
+          channelsAfter = Object.keys(connection.channels).length;
+          names.forEach(function (name) {
+            exchange.publish(name, { body: name });
+          });
+
+          setTimeout(function () {
+            channel.close();
+            connection.end();
+          }, 500);
+        });
+      });
+    });
+  });
+});
+
+
+process.addListener('exit', function () {
+  assert.equal(channelsBefore + 1, channelsAfter);
+  assert.deepEqual({ 'node-shared-channel-1': 'node-shared-channel-1',
+                     'node-shared-channel-2': 'node-shared-channel-2' }, received);
+});
@@ -0,0 +1,41 @@
+// A prefetchCount out of range throws, whether the subscribe is used with a
+// listener only or as a promise, and no consumer is left behind.
+require('./harness').run();
+
+var errors = [];
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.queue('node-subscribe-prefetch-range', {exclusive: true}, function (q) {
+    assert.throws(function () {
+      q.subscribe({ ack: true, prefetchCount: 70000 }, function () {
+        assert.fail('nothing should be consumed');
+      });
+    }, function (err) {
+      errors.push(err);
+      return true;
+    });
+
+    assert.throws(function () {
+      q.subscribeRaw({ prefetchCount: -1 }, function () {});
+    }, function (err) {
+      errors.push(err);
+      return true;
+    });
+
+    assert.deepEqual({}, q.consumerTagListeners);
+
+    // The channel is still fine for a subscribe within range.
+    q.subscribe({ ack: true, prefetchCount: 10 }, function () {}).addCallback(function () {
+      connection.end();
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.equal(2, errors.length);
+  errors.forEach(function (err) {
+    assert.ok(/prefetchCount/.test(err.message));
+  });
+});
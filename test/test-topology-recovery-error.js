@@ -0,0 +1,52 @@
+// An exchange that fails to reopen after a reconnect without closing its
+// channel, here because confirm mode is no longer available, is reported
+// as a failure instead of holding up the recovery.
+require('./harness');
+var proxy = require('./proxy');
+
+var proxyRoute = new proxy.route(9003, options.port, options.host);
+var connection = amqp.createConnection({ host: '127.0.0.1', port: 9003 }, {
+  reconnect: true,
+  reconnectBackoffStrategy: 'linear',
+  reconnectBackoffTime: 100
+});
+connection.on('error', function () {});
+
+var readyCount = 0;
+var exchangeErrors = 0;
+var report = null;
+
+connection.on('ready', function () {
+  readyCount++;
+  if (readyCount === 1) {
+    var exchange = connection.exchange('node-topology-recovery-error', {type: 'fanout', confirm: true});
+    exchange.on('error', function (err) {
+      assert.ok(err instanceof amqp.errors.NotImplementedError);
+      exchangeErrors++;
+    });
+    exchange.once('open', function () {
+      proxyRoute.interrupt();
+    });
+  } else {
+    // Pretend the server we came back to can't do confirms.
+    connection.serverCapabilities.publisher_confirms = false;
+  }
+});
+
+connection.once('topologyRecovered', function (r) {
+  report = r;
+  connection.setImplOptions({reconnect: false});
+  connection.end();
+  proxyRoute.close();
+});
+
+process.addListener('exit', function () {
+  assert.equal(2, readyCount);
+  assert.equal(1, exchangeErrors);
+  assert.ok(report);
+  assert.deepEqual([], report.exchanges);
+  assert.equal(1, report.failures.length);
+  assert.equal('exchange', report.failures[0].kind);
+  assert.equal('node-topology-recovery-error', report.failures[0].name);
+  assert.ok(report.failures[0].error instanceof amqp.errors.NotImplementedError);
+});
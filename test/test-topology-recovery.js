@@ -0,0 +1,60 @@
+// After a broker restart the exchanges, the server-named queue and the
+// header and exchange-to-exchange bindings between them are all restored,
+// so messages keep arriving.
+var assert = require('assert');
+var amqp = require('../amqp');
+var exec = require('child_process').exec;
+
+var cycleServer = function (startedCallback) {
+  exec('rabbitmqctl stop_app', function () {
+    setTimeout(function () {
+      exec('rabbitmqctl start_app', startedCallback);
+    }, 1500);
+  });
+};
+
+var connection, report = null, received = [];
+
+exec('which rabbitmqctl', function (err) {
+  if (err != null) {
+    console.log('skipping test, rabbitmqctl not availabe');
+    process.exit(0);
+  }
+
+  connection = amqp.createConnection(global.options || {}, { reconnect: true, reconnectBackoffTime: 500 }, function () {
+    var source = connection.exchange('node-topology-source', { type: 'fanout' });
+    var headers = connection.exchange('node-topology-headers', { type: 'headers' });
+
+    connection.queue('', { exclusive: true }, function (queue) {
+      headers.bind(source, '');
+      queue.bind_headers(headers, { 'x-match': 'all', kind: 'test' });
+      queue.subscribe(function (message) {
+        received.push(message.data.toString());
+        if (received.length === 1) {
+          cycleServer();
+        } else {
+          connection.setImplOptions({ reconnect: false });
+          connection.end();
+        }
+      }).addCallback(function () {
+        source.publish('', 'before', { headers: { kind: 'test' } });
+      });
+    });
+
+    connection.once('topologyRecovered', function (r) {
+      report = r;
+      source.publish('', 'after', { headers: { kind: 'test' } });
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  if (!connection) return; // skipped
+  assert.deepEqual(['before', 'after'], received);
+  assert.ok(report);
+  assert.deepEqual([], report.failures);
+  assert.deepEqual(['node-topology-source', 'node-topology-headers'], report.exchanges);
+  assert.equal(1, Object.keys(report.renamedQueues).length);
+  assert.equal(2, report.bindings.length);
+  assert.deepEqual({ 'x-match': 'all', kind: 'test' }, report.bindings[1]["arguments"]);
+});
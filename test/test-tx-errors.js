@@ -0,0 +1,37 @@
+// A tx method whose channel the server closes calls back with the error, and
+// a shared channel with a confirm exchange on it can't be made transactional.
+require('./harness').run();
+
+var commitError = null;
+var throwsOn = [];
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  var channel = connection.createChannel();
+  channel.exchange('node-tx-errors', {type: 'fanout', confirm: true}, function (exchange) {
+    var q = channel.queue('node-tx-errors', {exclusive: true});
+    [channel, exchange, q].forEach(function (target) {
+      try {
+        target.txSelect();
+      } catch (err) {
+        throwsOn.push(target);
+      }
+    });
+    channel.close();
+
+    // Committing without selecting first is refused by closing the channel.
+    connection.exchange('node-tx-errors-commit', {type: 'fanout'}, function (other) {
+      other.on('error', function () {});
+      other.txCommit(function (err) {
+        commitError = err;
+        connection.end();
+      });
+    });
+  });
+});
+
+process.addListener('exit', function () {
+  assert.equal(3, throwsOn.length);
+  assert.ok(commitError instanceof amqp.errors.PreconditionFailedError);
+});
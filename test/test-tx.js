@@ -0,0 +1,38 @@
+require('./harness').run();
+
+var received = [];
+
+connection.addListener('ready', function () {
+  puts("connected to " + connection.serverProperties.product);
+
+  connection.exchange('node-tx-fanout', {type: 'fanout'}, function (exchange) {
+    var q = connection.queue('node-tx-queue', function () {
+      q.bind(exchange, '*');
+      q.subscribe(function (message) {
+        received.push(message.name);
+      })
+      .addCallback(function () {
+        exchange.txSelect(function (err) {
+          assert.ifError(err);
+          exchange.publish('tx', { name: 'rolled back' });
+          exchange.txRollback(function (err) {
+            assert.ifError(err);
+            exchange.publish('tx', { name: 'committed' });
+            exchange.txCommit(function (err) {
+              assert.ifError(err);
+              setTimeout(function () {
+                q.destroy();
+                connection.end();
+              }, 500);
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+
+process.addListener('exit', function () {
+  assert.deepEqual(['committed'], received);
+});